@@ -1,5 +1,17 @@
 const fs = require("fs");
 const path = require("path");
+const {
+  getCleanFilePath,
+  readCleanData,
+  parseDuration,
+  parseClockTime,
+} = require("./cleanfile");
+const { REPORT_FORMATS, renderReport } = require("./report");
+const {
+  extractTimezoneArg,
+  resolveTimezone,
+  resolveDateArgs,
+} = require("./timezone");
 
 /**
  * Load categories configuration
@@ -26,16 +38,257 @@ function loadCategories() {
   }
 }
 
+/**
+ * Flatten the category tree to its leaves as { path, sessions }
+ * A category maps either to a session list or to an object of subcategories
+ */
+function flattenCategories(categories, parentPath = []) {
+  return Object.entries(categories || {}).reduce(
+    (leaves, [categoryName, node]) => {
+      const categoryPath = [...parentPath, categoryName];
+      if (Array.isArray(node)) {
+        return leaves.concat({ path: categoryPath, sessions: node });
+      }
+      if (node && typeof node === "object") {
+        return leaves.concat(flattenCategories(node, categoryPath));
+      }
+      return leaves;
+    },
+    []
+  );
+}
+
+// Rule types in order of precedence
+const CATEGORY_RULE_TYPES = ["exact", "prefix", "glob", "regex"];
+
+const categoryRulesCache = new WeakMap();
+
+/**
+ * Convert a glob ("*" any characters, "?" one character) to an anchored regex
+ */
+function globToRegex(glob) {
+  const pattern = glob
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Compile one entry of a category's session list to a matching rule
+ * Strings match exactly; { prefix }, { glob } and { regex[, flags] } match patterns
+ */
+function compileCategoryRule(item, categoryPath) {
+  if (typeof item === "string") {
+    return {
+      type: "exact",
+      pattern: item,
+      path: categoryPath,
+      test: (sessionName) => sessionName === item,
+    };
+  }
+
+  if (item && typeof item.prefix === "string") {
+    return {
+      type: "prefix",
+      pattern: item.prefix,
+      path: categoryPath,
+      test: (sessionName) => sessionName.startsWith(item.prefix),
+    };
+  }
+
+  if (item && typeof item.glob === "string") {
+    const globRegex = globToRegex(item.glob);
+    return {
+      type: "glob",
+      pattern: item.glob,
+      path: categoryPath,
+      test: (sessionName) => globRegex.test(sessionName),
+    };
+  }
+
+  if (item && typeof item.regex === "string") {
+    // "g" and "y" make test() stateful, which would flip results between calls
+    const regex = new RegExp(
+      item.regex,
+      String(item.flags || "").replace(/[gy]/g, "")
+    );
+    return {
+      type: "regex",
+      pattern: regex.toString(),
+      path: categoryPath,
+      test: (sessionName) => regex.test(sessionName),
+    };
+  }
+
+  throw new Error(
+    'expected a session name or a { "prefix" }, { "glob" } or { "regex" } rule'
+  );
+}
+
+/**
+ * All category rules in order of precedence: exact names, then prefixes
+ * (longest first), then globs, then regexes; ties go to the first in the file
+ */
+function getCategoryRules(categories) {
+  if (categoryRulesCache.has(categories)) {
+    return categoryRulesCache.get(categories);
+  }
+
+  const rules = [];
+  flattenCategories(categories).forEach(({ path: categoryPath, sessions }) => {
+    sessions.forEach((item) => {
+      try {
+        rules.push(compileCategoryRule(item, categoryPath));
+      } catch (error) {
+        console.warn(
+          `Warning: Skipping category rule ${JSON.stringify(
+            item
+          )} in "${categoryPath.join(" > ")}": ${error.message}`
+        );
+      }
+    });
+  });
+
+  const rank = (rule) => CATEGORY_RULE_TYPES.indexOf(rule.type);
+  // Array sort is stable, so equal rules keep their file order
+  rules.sort(
+    (a, b) =>
+      rank(a) - rank(b) ||
+      (a.type === "prefix" ? b.pattern.length - a.pattern.length : 0)
+  );
+
+  categoryRulesCache.set(categories, rules);
+  return rules;
+}
+
+/**
+ * All category rules matching a session, in order of precedence
+ * (the first one decides the session's category; non-string names match none)
+ */
+function getCategoryMatches(sessionName, categories) {
+  if (typeof sessionName !== "string") {
+    return [];
+  }
+  return getCategoryRules(categories || {}).filter((rule) =>
+    rule.test(sessionName)
+  );
+}
+
+/**
+ * Map session name to its category path, e.g. ["work", "deep-work", "coding"]
+ * (null for sessions not found in any category)
+ */
+function getCategoryPath(sessionName, categories) {
+  const [match] = getCategoryMatches(sessionName, categories);
+  return match ? match.path : null;
+}
+
 /**
  * Map session name to main category
  */
 function getMainCategory(sessionName, categories) {
-  for (const [categoryName, sessionList] of Object.entries(categories)) {
-    if (sessionList.includes(sessionName)) {
-      return categoryName;
-    }
+  const categoryPath = getCategoryPath(sessionName, categories);
+  return categoryPath ? categoryPath[0] : "uncategorized"; // For sessions not found in any category
+}
+
+/**
+ * Split a category path argument like "work/deep-work" or "work > deep-work"
+ */
+function parseCategoryPath(pathStr) {
+  return pathStr.split(/\s*[/>]\s*/).filter((name) => name !== "");
+}
+
+/**
+ * Check whether a category path lies in a branch given as a name or a path
+ * A path matches that branch; a plain name matches every category of that name
+ */
+function isCategoryInBranch(categoryPath, branch) {
+  const branchPath = parseCategoryPath(branch);
+  if (branchPath.length === 1) {
+    return categoryPath.includes(branchPath[0]);
   }
-  return "uncategorized"; // For sessions not found in any category
+  return branchPath.every((name, index) => categoryPath[index] === name);
+}
+
+/**
+ * Check whether a category path lies in an excluded branch
+ */
+function isCategoryExcluded(categoryPath, excludeCategories) {
+  return excludeCategories.some((excluded) =>
+    isCategoryInBranch(categoryPath, excluded)
+  );
+}
+
+/**
+ * Category path a session is reported under; sessions matching no rule
+ * form their own "uncategorized" bucket
+ */
+function getReportedCategoryPath(sessionName, categories) {
+  return getCategoryPath(sessionName, categories) || ["uncategorized"];
+}
+
+/**
+ * Main category a session counts towards in the category sections
+ * (null if it is in an excluded branch)
+ */
+function getReportedMainCategory(
+  sessionName,
+  categories,
+  excludeCategories = []
+) {
+  const categoryPath = getReportedCategoryPath(sessionName, categories);
+  return isCategoryExcluded(categoryPath, excludeCategories)
+    ? null
+    : categoryPath[0];
+}
+
+/**
+ * Account for the gap between the session total and the category total:
+ * time in excluded categories, and uncategorized time when it is excluded too
+ */
+function reconcileCategoryTime(timeEntries, categories, excludeCategories) {
+  const uncategorizedTotals = {};
+  let sessionSeconds = 0;
+  let excludedSeconds = 0;
+  let hiddenUncategorizedSeconds = 0;
+
+  timeEntries.forEach((entry) => {
+    const timeInSeconds = parseTimeToSeconds(entry.time);
+    const isUncategorized = !getCategoryPath(entry.session_name, categories);
+    sessionSeconds += timeInSeconds;
+
+    if (isUncategorized) {
+      uncategorizedTotals[entry.session_name] =
+        (uncategorizedTotals[entry.session_name] || 0) + timeInSeconds;
+    }
+
+    if (
+      isCategoryExcluded(
+        getReportedCategoryPath(entry.session_name, categories),
+        excludeCategories
+      )
+    ) {
+      if (isUncategorized) {
+        hiddenUncategorizedSeconds += timeInSeconds;
+      } else {
+        excludedSeconds += timeInSeconds;
+      }
+    }
+  });
+
+  return {
+    sessionSeconds,
+    categorySeconds:
+      sessionSeconds - excludedSeconds - hiddenUncategorizedSeconds,
+    excludedSeconds,
+    hiddenUncategorizedSeconds,
+    uncategorizedTotals,
+  };
 }
 
 /**
@@ -61,9 +314,11 @@ function secondsToTimeFormat(totalSeconds) {
 
 /**
  * Parse date string in format YYYY-MM-DD
+ * Calendar dates are held as UTC midnight so they never shift with the
+ * machine's timezone; the configured timezone only applies to timestamps
  */
 function parseDate(dateStr) {
-  return new Date(dateStr);
+  return new Date(`${dateStr}T00:00:00Z`);
 }
 
 /**
@@ -75,7 +330,7 @@ function getDatesBetween(startDate, endDate) {
 
   while (currentDate <= endDate) {
     dates.push(new Date(currentDate));
-    currentDate.setDate(currentDate.getDate() + 1);
+    currentDate.setUTCDate(currentDate.getUTCDate() + 1);
   }
 
   return dates;
@@ -89,16 +344,11 @@ function formatDate(date) {
 }
 
 /**
- * Load and parse JSON file for a specific date
+ * Load the time entries of the clean file for a specific date
  */
 function loadTimeDataForDate(date) {
   const dateStr = formatDate(date).replace(/-/g, "");
-  const filePath = path.join(
-    __dirname,
-    "json",
-    "clean",
-    `timew_clean_${dateStr}.json`
-  );
+  const filePath = getCleanFilePath(dateStr);
 
   if (!fs.existsSync(filePath)) {
     console.warn(`Warning: File not found for date ${dateStr}: ${filePath}`);
@@ -106,44 +356,148 @@ function loadTimeDataForDate(date) {
   }
 
   try {
-    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
-    return data;
+    return readCleanData(filePath).entries;
   } catch (error) {
     console.error(`Error reading file for date ${dateStr}:`, error.message);
     return [];
   }
 }
 
+// Name reported for entries of untagged intervals
+const UNTAGGED_SESSION = "(untagged)";
+
 /**
- * Extract day type from a clean JSON file
+ * Load the valid time entries for a date, warning about skipped invalid ones
  */
-function getDayTypeForDate(date) {
-  const dateStr = formatDate(date).replace(/-/g, "");
-  const filePath = path.join(
+function loadValidTimeEntries(date) {
+  const dateEntries = loadTimeDataForDate(date);
+
+  // Skip anything that is not a valid time entry
+  const timeEntries = dateEntries.filter(
+    (entry) =>
+      entry &&
+      typeof entry.session_name === "string" &&
+      parseDuration(entry.time) !== null
+  );
+  if (timeEntries.length < dateEntries.length) {
+    console.warn(
+      `Warning: Skipped ${
+        dateEntries.length - timeEntries.length
+      } invalid entries for date ${formatDate(
+        date
+      )} (run "node check.js validate" for details)`
+    );
+  }
+
+  // Untagged intervals (empty session_name) are kept under a visible name
+  return timeEntries.map((entry) =>
+    entry.session_name === ""
+      ? { ...entry, session_name: UNTAGGED_SESSION, tags: entry.tags || [] }
+      : entry
+  );
+}
+
+/**
+ * Load calendar rules used for default day types
+ */
+function loadCalendar() {
+  const calendarPath = path.join(
     __dirname,
     "json",
-    "clean",
-    `timew_clean_${dateStr}.json`
+    "settings",
+    "calendar.json"
   );
 
-  if (!fs.existsSync(filePath)) {
+  if (!fs.existsSync(calendarPath)) {
     return null;
   }
 
   try {
-    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
-    // The day type should be in the last element of the array
-    const lastElement = data[data.length - 1];
-    if (lastElement && lastElement.dayType) {
-      return lastElement.dayType;
-    }
+    const data = JSON.parse(fs.readFileSync(calendarPath, "utf8"));
+    return {
+      weekday: data.weekday || "workday",
+      weekend: data.weekend || "offday",
+      holiday: data.holiday || "holiday",
+      holidays: data.holidays || [],
+    };
+  } catch (error) {
+    console.error("Error reading calendar file:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Default day type for a date from the calendar rules (null without rules)
+ */
+function getDefaultDayType(date, calendar = loadCalendar()) {
+  if (!calendar) {
+    return null;
+  }
+
+  if (calendar.holidays.includes(formatDate(date))) {
+    return calendar.holiday;
+  }
+
+  const dayOfWeek = date.getUTCDay();
+  return dayOfWeek === 0 || dayOfWeek === 6
+    ? calendar.weekend
+    : calendar.weekday;
+}
+
+/**
+ * Extract day type stored in a clean JSON file (null if none)
+ */
+function getStoredDayType(date) {
+  const dateStr = formatDate(date).replace(/-/g, "");
+  const filePath = getCleanFilePath(dateStr);
+
+  if (!fs.existsSync(filePath)) {
     return null;
+  }
+
+  try {
+    return readCleanData(filePath).dayType;
   } catch (error) {
     console.error(`Error reading day type for date ${dateStr}:`, error.message);
     return null;
   }
 }
 
+/**
+ * Day type for a date: the stored one, else the calendar default
+ */
+function getDayTypeForDate(date, calendar = loadCalendar()) {
+  return getStoredDayType(date) || getDefaultDayType(date, calendar);
+}
+
+/**
+ * Keep the dates whose day type matches ("just") or does not match ("except")
+ * the filters; returns the kept dates with their day types
+ */
+function filterDatesByDayType(
+  dates,
+  dayTypeFilters,
+  isExceptFilter,
+  calendar = loadCalendar()
+) {
+  return dates
+    .map((date) => ({ date, dayType: getDayTypeForDate(date, calendar) }))
+    .filter(
+      ({ dayType }) =>
+        dayType &&
+        (isExceptFilter
+          ? !dayTypeFilters.includes(dayType)
+          : dayTypeFilters.includes(dayType))
+    );
+}
+
+/**
+ * Check whether an entry carries any of the given tags
+ */
+function hasAnyTag(entry, tagFilters) {
+  return getEntryTags(entry).some((tag) => tagFilters.includes(tag));
+}
+
 /**
  * Aggregate time data for sessions
  */
@@ -203,7 +557,46 @@ function aggregateProjectTime(timeEntries) {
 }
 
 /**
- * Aggregate time data by main categories (excluding uncategorized)
+ * Get all tags of an entry (older clean files only carry session_name)
+ */
+function getEntryTags(entry) {
+  if (Array.isArray(entry.tags)) {
+    return entry.tags;
+  }
+  return entry.session_name ? [entry.session_name] : [];
+}
+
+/**
+ * Aggregate time data for tags (an entry counts towards each of its tags)
+ */
+function aggregateTagTime(timeEntries) {
+  const tagTotals = {};
+
+  timeEntries.forEach((entry) => {
+    const timeInSeconds = parseTimeToSeconds(entry.time);
+
+    new Set(getEntryTags(entry)).forEach((tagName) => {
+      if (!tagTotals[tagName]) {
+        tagTotals[tagName] = 0;
+      }
+
+      tagTotals[tagName] += timeInSeconds;
+    });
+  });
+
+  // Convert back to time format and sort alphabetically
+  const sortedTags = Object.keys(tagTotals)
+    .sort()
+    .map((tagName) => ({
+      tag: tagName,
+      totalTime: secondsToTimeFormat(tagTotals[tagName]),
+    }));
+
+  return sortedTags;
+}
+
+/**
+ * Aggregate time data by main categories (uncategorized time is its own bucket)
  */
 function aggregateCategoryTime(
   timeEntries,
@@ -214,11 +607,15 @@ function aggregateCategoryTime(
 
   timeEntries.forEach((entry) => {
     const sessionName = entry.session_name;
-    const category = getMainCategory(sessionName, categories);
+    const category = getReportedMainCategory(
+      sessionName,
+      categories,
+      excludeCategories
+    );
     const timeInSeconds = parseTimeToSeconds(entry.time);
 
-    // Only include categorized entries (exclude 'uncategorized' and excluded categories)
-    if (category !== "uncategorized" && !excludeCategories.includes(category)) {
+    // Leave out excluded categories (including 'uncategorized' if excluded)
+    if (category) {
       if (!categoryTotals[category]) {
         categoryTotals[category] = 0;
       }
@@ -239,119 +636,1171 @@ function aggregateCategoryTime(
 }
 
 /**
- * Export analysis results to JSON file
+ * Aggregate time over the category tree; each node totals its whole branch
+ * Nodes come in tree order, alphabetical within each level
  */
-function exportResults(
-  analysisResults,
-  startDateStr,
-  endDateStr = null,
-  dayTypeFilters = [],
-  isExceptFilter = false,
+function aggregateCategoryTree(
+  timeEntries,
+  categories,
   excludeCategories = []
 ) {
-  // Create results directory if it doesn't exist
-  const resultsDir = path.join(__dirname, "json", "results");
-  if (!fs.existsSync(resultsDir)) {
-    fs.mkdirSync(resultsDir, { recursive: true });
-  }
-
-  // Generate filename based on date range
-  let filename;
-  if (endDateStr === null) {
-    const dateFormatted = startDateStr.replace(/-/g, "");
-    filename = `timew_results_${dateFormatted}-${dateFormatted}.json`;
-  } else {
-    const startFormatted = startDateStr.replace(/-/g, "");
-    const endFormatted = endDateStr.replace(/-/g, "");
-    filename = `timew_results_${startFormatted}-${endFormatted}.json`;
-  }
+  const branchTotals = {};
 
-  // Add day type filter to filename if specified
-  if (dayTypeFilters.length > 0) {
-    const dayTypeString = dayTypeFilters.join("_");
-    const filterType = isExceptFilter ? "except" : "just";
-    filename = filename.replace(
-      ".json",
-      `_${filterType}_${dayTypeString}.json`
+  timeEntries.forEach((entry) => {
+    const categoryPath = getReportedCategoryPath(
+      entry.session_name,
+      categories
     );
-  }
-
-  // Add excluded categories to filename if specified
-  if (excludeCategories.length > 0) {
-    const excludeString = excludeCategories.join("_");
-    filename = filename.replace(".json", `_exclude_${excludeString}.json`);
-  }
+    if (isCategoryExcluded(categoryPath, excludeCategories)) {
+      return;
+    }
 
-  const filePath = path.join(resultsDir, filename);
+    const timeInSeconds = parseTimeToSeconds(entry.time);
+    categoryPath.forEach((_, index) => {
+      const branch = JSON.stringify(categoryPath.slice(0, index + 1));
+      branchTotals[branch] = (branchTotals[branch] || 0) + timeInSeconds;
+    });
+  });
 
-  try {
-    fs.writeFileSync(
-      filePath,
-      JSON.stringify(analysisResults, null, 2),
-      "utf8"
-    );
-    console.log(`\nResults exported to: ${filePath}`);
-  } catch (error) {
-    console.error("Error exporting results:", error.message);
-  }
+  const comparePaths = (a, b) => {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return a.length - b.length;
+  };
+
+  return Object.keys(branchTotals)
+    .map((branch) => JSON.parse(branch))
+    .sort(comparePaths)
+    .map((categoryPath) => ({
+      path: categoryPath,
+      totalTime: secondsToTimeFormat(
+        branchTotals[JSON.stringify(categoryPath)]
+      ),
+    }));
 }
 
 /**
- * Main analysis function
+ * Build a day-by-day matrix of time per category or per session
+ * Categories follow the category section (excluded categories are left out)
  */
-function analyzeTimeData(
-  startDateStr,
-  endDateStr = null,
-  shouldExport = false,
-  dayTypeFilters = [],
-  isExceptFilter = false,
+function buildDailyBreakdown(
+  dailyEntries,
+  columnType,
+  categories,
   excludeCategories = []
 ) {
-  let dates = [];
-  let isDateRange = false;
+  const calendar = loadCalendar();
+  const columns = new Set();
+
+  const days = dailyEntries.map(({ date, hasData, entries }) => {
+    const seconds = {};
+
+    entries.forEach((entry) => {
+      let column = entry.session_name;
+      if (columnType === "categories") {
+        column = getReportedMainCategory(
+          entry.session_name,
+          categories,
+          excludeCategories
+        );
+        if (!column) {
+          return;
+        }
+      }
 
-  if (endDateStr === null) {
-    // Single date analysis
-    dates = [parseDate(startDateStr)];
-    console.log(`Analyzing time data for ${startDateStr}`);
-  } else {
-    // Date range analysis
-    const startDate = parseDate(startDateStr);
-    const endDate = parseDate(endDateStr);
-    dates = getDatesBetween(startDate, endDate);
-    isDateRange = true;
-    console.log(`Analyzing time data from ${startDateStr} to ${endDateStr}`);
-  }
+      seconds[column] = (seconds[column] || 0) + parseTimeToSeconds(entry.time);
+      columns.add(column);
+    });
 
-  // If day type filters are specified, filter dates by day type
-  if (dayTypeFilters.length > 0) {
-    const filteredDates = [];
-    const matchingDayTypes = [];
+    const totalSeconds = Object.values(seconds).reduce(
+      (total, value) => total + value,
+      0
+    );
 
-    dates.forEach((date) => {
-      const dayType = getDayTypeForDate(date);
-      let shouldInclude = false;
+    return {
+      date: formatDate(date),
+      dayType: getDayTypeForDate(date, calendar),
+      hasData,
+      totalTime: secondsToTimeFormat(totalSeconds),
+      totalTimeSeconds: totalSeconds,
+      times: Object.fromEntries(
+        Object.entries(seconds).map(([column, value]) => [
+          column,
+          secondsToTimeFormat(value),
+        ])
+      ),
+      seconds,
+    };
+  });
 
-      if (isExceptFilter) {
-        // For "except" filter, include dates that DON'T match the specified day types
-        shouldInclude = dayType && !dayTypeFilters.includes(dayType);
-      } else {
-        // For "just" filter, include dates that DO match the specified day types
-        shouldInclude = dayType && dayTypeFilters.includes(dayType);
-      }
+  return {
+    columnType,
+    columns: Array.from(columns).sort(),
+    days,
+  };
+}
 
-      if (shouldInclude) {
-        filteredDates.push(date);
-        matchingDayTypes.push({
-          date: formatDate(date),
-          dayType: dayType,
-        });
-      }
-    });
+/**
+ * Print the daily breakdown matrix as an aligned console table
+ */
+function printDailyBreakdown(daily) {
+  const header = ["Date", "Day Type", ...daily.columns, "Total"];
+  const rows = daily.days.map((day) => [
+    day.date,
+    day.dayType || "-",
+    ...daily.columns.map((column) => day.times[column] || "-"),
+    day.hasData ? day.totalTime : "(no data)",
+  ]);
+  const widths = header.map((cell, index) =>
+    Math.max(cell.length, ...rows.map((row) => row[index].length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, index) => cell.padEnd(widths[index]))
+      .join("  ")
+      .trimEnd();
+
+  console.log(`\nDaily Breakdown (by ${daily.columnType}):`);
+  console.log("=".repeat(formatRow(header).length));
+  console.log(formatRow(header));
+  console.log("-".repeat(formatRow(header).length));
+  rows.forEach((row) => console.log(formatRow(row)));
+  console.log("=".repeat(formatRow(header).length));
+}
 
-    if (filteredDates.length === 0) {
-      const filterType = isExceptFilter ? "except" : "just";
-      console.log(
+const WEEKDAY_NAMES = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+/**
+ * Convert seconds to a signed +HH:MM:SS / -HH:MM:SS difference
+ */
+function secondsToSignedTimeFormat(seconds) {
+  return `${seconds < 0 ? "-" : "+"}${secondsToTimeFormat(Math.abs(seconds))}`;
+}
+
+/**
+ * Bucket key for a date: ISO week ("2025-W44"), month ("2025-10") or weekday
+ */
+function getBucketKey(date, groupBy) {
+  if (groupBy === "month") {
+    return formatDate(date).substring(0, 7);
+  }
+
+  // ISO weekday: Monday = 1 ... Sunday = 7
+  const isoWeekday = date.getUTCDay() || 7;
+
+  if (groupBy === "weekday") {
+    return WEEKDAY_NAMES[isoWeekday - 1];
+  }
+
+  // The ISO week belongs to the year of its Thursday
+  const thursday = new Date(date);
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - isoWeekday);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+
+  return `${thursday.getUTCFullYear()}-W${week.toString().padStart(2, "0")}`;
+}
+
+/**
+ * Compare item totals of a bucket with the previous bucket
+ * Items present in only one of the two buckets are included
+ */
+function compareBucketItems(currentTotals, previousTotals) {
+  const names = new Set([
+    ...Object.keys(currentTotals),
+    ...Object.keys(previousTotals || {}),
+  ]);
+
+  return Array.from(names)
+    .sort()
+    .map((name) => {
+      const seconds = currentTotals[name] || 0;
+      const item = {
+        name,
+        totalTime: secondsToTimeFormat(seconds),
+        totalTimeSeconds: seconds,
+      };
+
+      if (previousTotals) {
+        const previousSeconds = previousTotals[name] || 0;
+        item.previousTime = secondsToTimeFormat(previousSeconds);
+        item.previousTimeSeconds = previousSeconds;
+        item.deltaSeconds = seconds - previousSeconds;
+        item.delta = secondsToSignedTimeFormat(item.deltaSeconds);
+        item.deltaPercentage = formatDeltaPercentage(
+          item.deltaSeconds,
+          previousSeconds
+        );
+      }
+
+      return item;
+    });
+}
+
+/**
+ * Aggregate entries to { name: seconds } totals per session, project and category
+ */
+function aggregateItemTotals(timeEntries, categories, excludeCategories = []) {
+  const toTotals = (aggregates, nameKey) =>
+    Object.fromEntries(
+      aggregates.map((item) => [
+        item[nameKey],
+        parseTimeToSeconds(item.totalTime),
+      ])
+    );
+
+  return {
+    sessions: toTotals(aggregateSessionTime(timeEntries), "session"),
+    projects: toTotals(aggregateProjectTime(timeEntries), "project"),
+    categories: toTotals(
+      aggregateCategoryTime(timeEntries, categories, excludeCategories),
+      "category"
+    ),
+  };
+}
+
+/**
+ * Sum { name: seconds } totals
+ */
+function sumTotals(totals) {
+  return Object.values(totals).reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Bucket daily entries by week, month or weekday and aggregate each bucket
+ * Week and month buckets carry deltas against the previous bucket
+ */
+function buildGroupedResults(
+  dailyEntries,
+  groupBy,
+  categories,
+  excludeCategories = []
+) {
+  const buckets = {};
+
+  dailyEntries.forEach(({ date, hasData, entries }) => {
+    const key = getBucketKey(date, groupBy);
+    if (!buckets[key]) {
+      buckets[key] = { key, dates: [], trackedDays: 0, entries: [] };
+    }
+    buckets[key].dates.push(formatDate(date));
+    buckets[key].entries = buckets[key].entries.concat(entries);
+    if (hasData) {
+      buckets[key].trackedDays++;
+    }
+  });
+
+  const orderedKeys = Object.keys(buckets).sort((a, b) =>
+    groupBy === "weekday"
+      ? WEEKDAY_NAMES.indexOf(a) - WEEKDAY_NAMES.indexOf(b)
+      : a.localeCompare(b)
+  );
+  const showDeltas = groupBy !== "weekday";
+  let previous = null;
+
+  return {
+    groupBy,
+    buckets: orderedKeys.map((key) => {
+      const bucket = buckets[key];
+      const totals = aggregateItemTotals(
+        bucket.entries,
+        categories,
+        excludeCategories
+      );
+      const totalSeconds = sumTotals(totals.sessions);
+      const previousTotals = showDeltas ? previous : null;
+
+      const result = {
+        key,
+        startDate: bucket.dates[0],
+        endDate: bucket.dates[bucket.dates.length - 1],
+        days: bucket.dates.length,
+        trackedDays: bucket.trackedDays,
+        totalTime: secondsToTimeFormat(totalSeconds),
+        totalTimeSeconds: totalSeconds,
+        sessions: compareBucketItems(
+          totals.sessions,
+          previousTotals && previousTotals.sessions
+        ),
+        projects: compareBucketItems(
+          totals.projects,
+          previousTotals && previousTotals.projects
+        ),
+        categories: compareBucketItems(
+          totals.categories,
+          previousTotals && previousTotals.categories
+        ),
+      };
+
+      if (previousTotals) {
+        result.deltaSeconds = totalSeconds - previousTotals.totalSeconds;
+        result.delta = secondsToSignedTimeFormat(result.deltaSeconds);
+      }
+
+      previous = { ...totals, totalSeconds };
+      return result;
+    }),
+  };
+}
+
+/**
+ * Print grouped results, one block per bucket
+ */
+function printGroupedResults(grouped) {
+  const formatItem = (item) => {
+    if (item.delta === undefined) {
+      return `${item.name}: ${item.totalTime}`;
+    }
+    return `${item.name}: ${item.totalTime} (${item.delta}, ${item.deltaPercentage})`;
+  };
+
+  console.log(`\nGrouped by ${grouped.groupBy}:`);
+  console.log("===========================================");
+
+  grouped.buckets.forEach((bucket) => {
+    const period =
+      bucket.startDate === bucket.endDate
+        ? bucket.startDate
+        : `${bucket.startDate} to ${bucket.endDate}`;
+    console.log(
+      `\n${bucket.key} (${period}, ${bucket.trackedDays}/${
+        bucket.days
+      } day(s) tracked): ${bucket.totalTime}${
+        bucket.delta !== undefined ? ` (${bucket.delta} vs previous)` : ""
+      }`
+    );
+
+    [
+      ["Sessions", bucket.sessions],
+      ["Projects", bucket.projects],
+      ["Categories", bucket.categories],
+    ].forEach(([title, items]) => {
+      if (items.length === 0) return;
+      console.log(`  ${title}:`);
+      items.forEach((item) => console.log(`    ${formatItem(item)}`));
+    });
+  });
+
+  console.log("\n===========================================");
+}
+
+// Shades for heatmap cells, from no time to the busiest cell
+const HEATMAP_SHADES = " .:-=+*#%@";
+
+/**
+ * Spread each entry's start-end interval over weekday x time-of-day bins,
+ * one grid per category or session
+ * Entries without a usable start and end are counted but not placed
+ */
+function buildHeatmap(
+  dailyEntries,
+  itemType,
+  binMinutes,
+  categories,
+  excludeCategories = []
+) {
+  const binSeconds = binMinutes * 60;
+  const binCount = (24 * 60) / binMinutes;
+  const grids = {};
+  const weekdayCounts = WEEKDAY_NAMES.map(() => 0);
+  let unplacedSeconds = 0;
+
+  dailyEntries.forEach(({ date, entries }) => {
+    const weekdayIndex = (date.getUTCDay() || 7) - 1;
+    weekdayCounts[weekdayIndex]++;
+
+    entries.forEach((entry) => {
+      let name = entry.session_name;
+      if (itemType === "categories") {
+        name = getReportedMainCategory(
+          entry.session_name,
+          categories,
+          excludeCategories
+        );
+        if (!name) {
+          return;
+        }
+      }
+
+      const start = parseClockTime(entry.start);
+      const end = parseClockTime(entry.end);
+      if (start === null || end === null || end <= start) {
+        unplacedSeconds += parseTimeToSeconds(entry.time);
+        return;
+      }
+
+      if (!grids[name]) {
+        grids[name] = WEEKDAY_NAMES.map(() => new Array(binCount).fill(0));
+      }
+
+      // Add the part of the interval that falls into each bin it touches
+      const row = grids[name][weekdayIndex];
+      for (
+        let bin = Math.floor(start / binSeconds);
+        bin * binSeconds < end;
+        bin++
+      ) {
+        row[bin] +=
+          Math.min(end, (bin + 1) * binSeconds) -
+          Math.max(start, bin * binSeconds);
+      }
+    });
+  });
+
+  return {
+    itemType,
+    binMinutes,
+    bins: Array.from({ length: binCount }, (_, bin) =>
+      secondsToTimeFormat(bin * binSeconds).substring(0, 5)
+    ),
+    weekdays: WEEKDAY_NAMES.map((weekday, index) => ({
+      weekday,
+      days: weekdayCounts[index],
+    })),
+    items: Object.keys(grids)
+      .sort()
+      .map((name) => {
+        const totalSeconds = grids[name].reduce(
+          (total, row) => total + row.reduce((sum, value) => sum + value, 0),
+          0
+        );
+        return {
+          name,
+          totalTime: secondsToTimeFormat(totalSeconds),
+          totalTimeSeconds: totalSeconds,
+          grid: grids[name],
+        };
+      }),
+    unplacedTime: secondsToTimeFormat(unplacedSeconds),
+    unplacedTimeSeconds: unplacedSeconds,
+  };
+}
+
+/**
+ * Print one ASCII weekday x time-of-day heatmap per item
+ * Shades are relative to the busiest cell of that item
+ */
+function printHeatmap(heatmap) {
+  const { itemType, binMinutes, weekdays, items } = heatmap;
+  const binsPerHour = 60 / binMinutes;
+  // Hourly cells are two characters wide so the hour labels line up
+  const cellWidth = binMinutes === 60 ? 3 : 1;
+  const header =
+    "    " +
+    Array.from({ length: 24 }, (_, hour) =>
+      hour
+        .toString()
+        .padStart(2, "0")
+        .padEnd(binsPerHour * cellWidth)
+    ).join("");
+
+  console.log(
+    `\nHeatmap by ${itemType === "categories" ? "category" : "session"} (${
+      binMinutes === 60 ? "hourly" : `${binMinutes}-minute`
+    } bins, shades "${HEATMAP_SHADES.substring(1)}" from least to most):`
+  );
+  console.log("===========================================");
+
+  if (items.length === 0) {
+    console.log("No entries with start and end times.");
+  }
+
+  items.forEach((item) => {
+    const maxSeconds = Math.max(...item.grid.map((row) => Math.max(...row)));
+    console.log(
+      `\n${item.name}: ${item.totalTime} (busiest cell ${secondsToTimeFormat(
+        maxSeconds
+      )})`
+    );
+    console.log(header.trimEnd());
+
+    item.grid.forEach((row, index) => {
+      const cells = row
+        .map((seconds) => {
+          const shade =
+            seconds === 0
+              ? " "
+              : HEATMAP_SHADES[
+                  Math.max(
+                    1,
+                    Math.ceil(
+                      (seconds / maxSeconds) * (HEATMAP_SHADES.length - 1)
+                    )
+                  )
+                ];
+          return cellWidth === 1 ? shade : shade.repeat(2) + " ";
+        })
+        .join("");
+      const rowSeconds = row.reduce((total, value) => total + value, 0);
+      console.log(
+        `${weekdays[index].weekday.substring(0, 3)} ${cells}|${
+          rowSeconds > 0 ? ` ${secondsToTimeFormat(rowSeconds)}` : ""
+        }`
+      );
+    });
+  });
+
+  console.log(
+    `\nDays per weekday in range: ${weekdays
+      .map(({ weekday, days }) => `${weekday.substring(0, 3)} ${days}`)
+      .join(", ")}`
+  );
+  if (heatmap.unplacedTimeSeconds > 0) {
+    console.log(
+      `Not shown: ${heatmap.unplacedTime} in entries without a valid start and end.`
+    );
+  }
+  console.log("===========================================");
+}
+
+/**
+ * Parse a "HH:MM" or "HH:MM:SS" target amount to seconds (null if malformed)
+ */
+function parseTargetTime(timeStr) {
+  const timeMatch =
+    typeof timeStr === "string" &&
+    timeStr.match(/^(\d{1,3}):([0-5]\d)(?::([0-5]\d))?$/);
+  if (!timeMatch) {
+    return null;
+  }
+  return (
+    parseInt(timeMatch[1]) * 3600 +
+    parseInt(timeMatch[2]) * 60 +
+    parseInt(timeMatch[3] || "0")
+  );
+}
+
+/**
+ * Load category targets from json/settings/targets.json
+ * Each target is { category, min and/or max ("HH:MM"), per: "day"|"week", dayTypes }
+ */
+function loadTargets() {
+  const targetsPath = path.join(__dirname, "json", "settings", "targets.json");
+
+  if (!fs.existsSync(targetsPath)) {
+    console.warn("Warning: Targets file not found:", targetsPath);
+    return [];
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(targetsPath, "utf8"));
+  } catch (error) {
+    console.error("Error reading targets file:", error.message);
+    return [];
+  }
+
+  if (!Array.isArray(data)) {
+    console.error("Error reading targets file: expected an array of targets");
+    return [];
+  }
+
+  return data
+    .map((target, index) => {
+      const per = target.per || "day";
+      const minSeconds =
+        target.min === undefined ? null : parseTargetTime(target.min);
+      const maxSeconds =
+        target.max === undefined ? null : parseTargetTime(target.max);
+
+      let problem = null;
+      if (typeof target.category !== "string" || target.category === "") {
+        problem = 'missing "category"';
+      } else if (target.min === undefined && target.max === undefined) {
+        problem = 'needs "min" or "max"';
+      } else if (
+        (target.min !== undefined && minSeconds === null) ||
+        (target.max !== undefined && maxSeconds === null)
+      ) {
+        problem = '"min" and "max" must be "HH:MM" or "HH:MM:SS"';
+      } else if (!["day", "week"].includes(per)) {
+        problem = '"per" must be "day" or "week"';
+      } else if (
+        target.dayTypes !== undefined &&
+        !Array.isArray(target.dayTypes)
+      ) {
+        problem = '"dayTypes" must be an array';
+      }
+
+      if (problem) {
+        console.warn(`Warning: Skipping target ${index + 1}: ${problem}`);
+        return null;
+      }
+
+      return {
+        category: target.category,
+        minSeconds,
+        maxSeconds,
+        per,
+        dayTypes: target.dayTypes || null,
+      };
+    })
+    .filter((target) => target !== null);
+}
+
+/**
+ * Describe a target, e.g. "deep-work >= 04:00:00 per day (workday)"
+ */
+function describeTarget(target) {
+  let amount;
+  if (target.minSeconds !== null && target.maxSeconds !== null) {
+    amount = `${secondsToTimeFormat(
+      target.minSeconds
+    )} to ${secondsToTimeFormat(target.maxSeconds)}`;
+  } else if (target.minSeconds !== null) {
+    amount = `>= ${secondsToTimeFormat(target.minSeconds)}`;
+  } else {
+    amount = `<= ${secondsToTimeFormat(target.maxSeconds)}`;
+  }
+
+  return `${target.category} ${amount} per ${target.per}${
+    target.dayTypes ? ` (${target.dayTypes.join(", ")})` : ""
+  }`;
+}
+
+/**
+ * Check each target against the time in its category branch, per day or
+ * ISO week; days without data count as neither met nor missed
+ * Streaks count consecutive met periods, skipping periods without data
+ */
+function evaluateTargets(targets, dailyEntries, categories) {
+  const calendar = loadCalendar();
+  const days = dailyEntries.map((day) => ({
+    ...day,
+    dayType: getDayTypeForDate(day.date, calendar),
+  }));
+
+  // Weeks cut off by the start or end of the range are partial
+  const daysPerWeek = {};
+  days.forEach(({ date }) => {
+    const week = getBucketKey(date, "week");
+    daysPerWeek[week] = (daysPerWeek[week] || 0) + 1;
+  });
+
+  return targets.map((target) => {
+    const branchSeconds = (entries) =>
+      entries
+        .filter((entry) =>
+          isCategoryInBranch(
+            getReportedCategoryPath(entry.session_name, categories),
+            target.category
+          )
+        )
+        .reduce((total, entry) => total + parseTimeToSeconds(entry.time), 0);
+
+    const periods = [];
+    days
+      .filter(
+        (day) => !target.dayTypes || target.dayTypes.includes(day.dayType)
+      )
+      .forEach((day) => {
+        const key =
+          target.per === "week"
+            ? getBucketKey(day.date, "week")
+            : formatDate(day.date);
+        let period = periods[periods.length - 1];
+
+        if (!period || period.period !== key) {
+          period = { period: key, seconds: 0, hasData: false };
+          if (target.per === "week") {
+            period.partial = daysPerWeek[key] < 7;
+          } else {
+            period.dayType = day.dayType;
+          }
+          periods.push(period);
+        }
+
+        period.seconds += branchSeconds(day.entries);
+        period.hasData = period.hasData || day.hasData;
+      });
+
+    let met = 0;
+    let missed = 0;
+    let noData = 0;
+    let streak = 0;
+    let longestStreak = 0;
+    let totalSeconds = 0;
+
+    const results = periods.map(({ period, seconds, hasData, ...rest }) => {
+      let status = "no data";
+      if (!hasData) {
+        noData++;
+      } else if (
+        (target.minSeconds === null || seconds >= target.minSeconds) &&
+        (target.maxSeconds === null || seconds <= target.maxSeconds)
+      ) {
+        status = "met";
+        met++;
+        streak++;
+        longestStreak = Math.max(longestStreak, streak);
+      } else {
+        status = "missed";
+        missed++;
+        streak = 0;
+      }
+      totalSeconds += seconds;
+
+      return {
+        period,
+        ...rest,
+        actualTime: secondsToTimeFormat(seconds),
+        actualTimeSeconds: seconds,
+        status,
+      };
+    });
+
+    return {
+      target: describeTarget(target),
+      category: target.category,
+      per: target.per,
+      dayTypes: target.dayTypes,
+      min:
+        target.minSeconds === null
+          ? null
+          : secondsToTimeFormat(target.minSeconds),
+      max:
+        target.maxSeconds === null
+          ? null
+          : secondsToTimeFormat(target.maxSeconds),
+      totalTime: secondsToTimeFormat(totalSeconds),
+      totalTimeSeconds: totalSeconds,
+      met,
+      missed,
+      noData,
+      currentStreak: streak,
+      longestStreak,
+      periods: results,
+    };
+  });
+}
+
+/**
+ * Print target progress, one block per target
+ */
+function printTargets(targetResults) {
+  console.log("\nTargets:");
+  console.log("===========================================");
+
+  if (targetResults.length === 0) {
+    console.log("No targets defined in json/settings/targets.json.");
+  }
+
+  targetResults.forEach((result) => {
+    console.log(`\n${result.target}`);
+    console.log(
+      `  Met ${result.met}, missed ${result.missed}${
+        result.noData > 0 ? `, no data ${result.noData}` : ""
+      }; current streak ${result.currentStreak}, longest ${
+        result.longestStreak
+      }`
+    );
+    result.periods.forEach((period) => {
+      const label =
+        period.dayType !== undefined
+          ? `${period.period} (${period.dayType || "no day type"})`
+          : `${period.period}${period.partial ? " (partial)" : ""}`;
+      console.log(
+        `  ${label}: ${period.status === "no data" ? "-" : period.actualTime} ${
+          period.status
+        }`
+      );
+    });
+  });
+
+  console.log("\n===========================================");
+}
+
+/**
+ * Format a { startDate, endDate } period for display
+ */
+function formatPeriod({ startDate, endDate }) {
+  return !endDate || startDate === endDate
+    ? startDate
+    : `${startDate} to ${endDate}`;
+}
+
+/**
+ * Share of a total as a percentage ("0.0%" when the total is zero)
+ */
+function formatShare(seconds, totalSeconds) {
+  if (totalSeconds === 0) {
+    return "0.0%";
+  }
+  return `${((seconds / totalSeconds) * 100).toFixed(1)}%`;
+}
+
+/**
+ * Percentage change from a previous value ("new" if there was none)
+ */
+function formatDeltaPercentage(deltaSeconds, previousSeconds) {
+  if (previousSeconds === 0) {
+    return "new";
+  }
+  return `${deltaSeconds >= 0 ? "+" : ""}${(
+    (deltaSeconds / previousSeconds) *
+    100
+  ).toFixed(1)}%`;
+}
+
+/**
+ * Load and aggregate the entries of one period of a comparison
+ */
+function loadPeriodTotals(
+  period,
+  dayTypeFilters,
+  isExceptFilter,
+  excludeCategories,
+  tagFilters,
+  categories
+) {
+  let dates = getDatesBetween(
+    parseDate(period.startDate),
+    parseDate(period.endDate)
+  );
+  if (dayTypeFilters.length > 0) {
+    dates = filterDatesByDayType(dates, dayTypeFilters, isExceptFilter).map(
+      ({ date }) => date
+    );
+  }
+
+  let timeEntries = [];
+  let trackedDays = 0;
+  dates.forEach((date) => {
+    const dateEntries = loadValidTimeEntries(date);
+    if (dateEntries.length > 0) {
+      trackedDays++;
+    }
+    timeEntries = timeEntries.concat(dateEntries);
+  });
+
+  if (tagFilters.length > 0) {
+    timeEntries = timeEntries.filter((entry) => hasAnyTag(entry, tagFilters));
+  }
+
+  const totals = aggregateItemTotals(
+    timeEntries,
+    categories,
+    excludeCategories
+  );
+  const totalSeconds = sumTotals(totals.sessions);
+
+  return {
+    period: {
+      startDate: period.startDate,
+      endDate: period.endDate,
+      days: dates.length,
+      trackedDays,
+      totalEntries: timeEntries.length,
+      totalTime: secondsToTimeFormat(totalSeconds),
+      totalTimeSeconds: totalSeconds,
+    },
+    totals,
+  };
+}
+
+/**
+ * Print a period comparison, one line per item with its change
+ */
+function printComparison(comparison) {
+  const { periodA, periodB } = comparison;
+  const formatChange = (previousTime, totalTime, delta, deltaPercentage) =>
+    `${previousTime} -> ${totalTime} (${delta}, ${deltaPercentage})`;
+
+  console.log(
+    `A: ${formatPeriod(periodA)} (${periodA.trackedDays}/${
+      periodA.days
+    } day(s) tracked)`
+  );
+  console.log(
+    `B: ${formatPeriod(periodB)} (${periodB.trackedDays}/${
+      periodB.days
+    } day(s) tracked)`
+  );
+  console.log("===========================================");
+  console.log(
+    `Total: ${formatChange(
+      periodA.totalTime,
+      periodB.totalTime,
+      comparison.delta,
+      comparison.deltaPercentage
+    )}`
+  );
+
+  [
+    ["Sessions", comparison.sessions],
+    ["Projects", comparison.projects],
+    ["Main Categories", comparison.categories],
+  ].forEach(([title, items]) => {
+    if (items.length === 0) return;
+    console.log(`\n${title} (A -> B):`);
+    console.log("===========================================");
+    items.forEach((item) =>
+      console.log(
+        `${item.name}: ${formatChange(
+          item.previousTime,
+          item.totalTime,
+          item.delta,
+          item.deltaPercentage
+        )}`
+      )
+    );
+  });
+
+  console.log("===========================================");
+}
+
+/**
+ * Compare two periods: each item's time in A and B with the change from A to B
+ * Items that appear in only one of the periods are included
+ */
+function comparePeriods(
+  periodA,
+  periodB,
+  shouldExport = false,
+  dayTypeFilters = [],
+  isExceptFilter = false,
+  excludeCategories = [],
+  options = {}
+) {
+  const { tagFilters = [], format = "text" } = options;
+  // Progress lines go to stderr when stdout carries a rendered report
+  const log = format === "text" ? console.log : console.error;
+
+  log(`Comparing ${formatPeriod(periodA)} with ${formatPeriod(periodB)}`);
+
+  const categories = loadCategories();
+  const [a, b] = [periodA, periodB].map((period) =>
+    loadPeriodTotals(
+      period,
+      dayTypeFilters,
+      isExceptFilter,
+      excludeCategories,
+      tagFilters,
+      categories
+    )
+  );
+
+  if (a.period.totalEntries === 0 && b.period.totalEntries === 0) {
+    log("No time data found for either period.");
+    return;
+  }
+  log("");
+
+  const deltaSeconds = b.period.totalTimeSeconds - a.period.totalTimeSeconds;
+  const comparisonResults = {
+    dateRange: {
+      startDate: periodA.startDate,
+      endDate: periodB.endDate,
+      ...(dayTypeFilters.length > 0 && {
+        dayTypeFilter: dayTypeFilters,
+        filterType: isExceptFilter ? "except" : "just",
+        filteredDescription: isExceptFilter
+          ? `Filtered to exclude: ${dayTypeFilters.join(", ")}`
+          : `Filtered to show only: ${dayTypeFilters.join(", ")}`,
+      }),
+      ...(excludeCategories.length > 0 && {
+        excludedCategories: excludeCategories,
+        excludedCategoriesDescription: `Excluded categories: ${excludeCategories.join(
+          ", "
+        )}`,
+      }),
+      ...(tagFilters.length > 0 && {
+        tagFilter: tagFilters,
+        tagFilterDescription: `Filtered to entries tagged: ${tagFilters.join(
+          ", "
+        )}`,
+      }),
+    },
+    comparison: {
+      periodA: a.period,
+      periodB: b.period,
+      deltaSeconds,
+      delta: secondsToSignedTimeFormat(deltaSeconds),
+      deltaPercentage: formatDeltaPercentage(
+        deltaSeconds,
+        a.period.totalTimeSeconds
+      ),
+      sessions: compareBucketItems(b.totals.sessions, a.totals.sessions),
+      projects: compareBucketItems(b.totals.projects, a.totals.projects),
+      categories: compareBucketItems(b.totals.categories, a.totals.categories),
+    },
+    generatedAt: new Date().toISOString(),
+  };
+
+  if (format !== "text") {
+    console.log(renderReport(comparisonResults, format));
+  } else {
+    printComparison(comparisonResults.comparison);
+  }
+
+  if (shouldExport) {
+    const periodName = ({ startDate, endDate }) =>
+      `${startDate.replace(/-/g, "")}-${endDate.replace(/-/g, "")}`;
+    writeResults(
+      `timew_compare_${periodName(periodA)}_vs_${periodName(
+        periodB
+      )}${getFilterSuffix(
+        dayTypeFilters,
+        isExceptFilter,
+        excludeCategories,
+        tagFilters
+      )}.json`,
+      comparisonResults,
+      format
+    );
+  }
+}
+
+/**
+ * Filename suffix describing the day type, category and tag filters
+ */
+function getFilterSuffix(
+  dayTypeFilters,
+  isExceptFilter,
+  excludeCategories,
+  tagFilters
+) {
+  let suffix = "";
+
+  // Add day type filter to filename if specified
+  if (dayTypeFilters.length > 0) {
+    const filterType = isExceptFilter ? "except" : "just";
+    suffix += `_${filterType}_${dayTypeFilters.join("_")}`;
+  }
+
+  // Add excluded categories to filename if specified
+  if (excludeCategories.length > 0) {
+    suffix += `_exclude_${excludeCategories.join("_")}`;
+  }
+
+  // Add tag filter to filename if specified
+  if (tagFilters.length > 0) {
+    suffix += `_tag_${tagFilters.join("_")}`;
+  }
+
+  // Branch paths ("work/deep", "work > deep") and spaces are not filename-safe
+  return suffix.replace(/[\/\\>\s]+/g, "-");
+}
+
+/**
+ * Write results to json/results/ in the given format
+ * (formats other than text replace the .json extension with their own)
+ */
+function writeResults(filename, results, format) {
+  // Create results directory if it doesn't exist
+  const resultsDir = path.join(__dirname, "json", "results");
+  if (!fs.existsSync(resultsDir)) {
+    fs.mkdirSync(resultsDir, { recursive: true });
+  }
+
+  const filePath = path.join(
+    resultsDir,
+    filename.replace(/\.json$/, REPORT_FORMATS[format])
+  );
+
+  try {
+    fs.writeFileSync(filePath, renderReport(results, format), "utf8");
+    // Keep stdout clean when it carries a rendered report
+    (format === "text" ? console.log : console.error)(
+      `\nResults exported to: ${filePath}`
+    );
+  } catch (error) {
+    console.error("Error exporting results:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Export analysis results to JSON file
+ */
+function exportResults(
+  analysisResults,
+  startDateStr,
+  endDateStr = null,
+  dayTypeFilters = [],
+  isExceptFilter = false,
+  excludeCategories = [],
+  options = {}
+) {
+  const { tagFilters = [], format = "text" } = options;
+
+  // Generate filename based on date range
+  const startFormatted = startDateStr.replace(/-/g, "");
+  const endFormatted =
+    endDateStr === null ? startFormatted : endDateStr.replace(/-/g, "");
+
+  writeResults(
+    `timew_results_${startFormatted}-${endFormatted}${getFilterSuffix(
+      dayTypeFilters,
+      isExceptFilter,
+      excludeCategories,
+      tagFilters
+    )}.json`,
+    analysisResults,
+    format
+  );
+}
+
+/**
+ * Main analysis function
+ */
+function analyzeTimeData(
+  startDateStr,
+  endDateStr = null,
+  shouldExport = false,
+  dayTypeFilters = [],
+  isExceptFilter = false,
+  excludeCategories = [],
+  options = {}
+) {
+  const {
+    tagFilters = [],
+    format = "text",
+    dailyBreakdown = null,
+    groupBy = null,
+    averageBasis = "tracked",
+    showTargets = false,
+    heatmap = null,
+  } = options;
+  // Progress lines go to stderr when stdout carries a rendered report
+  const log = format === "text" ? console.log : console.error;
+  let dates = [];
+  let isDateRange = false;
+
+  if (endDateStr === null) {
+    // Single date analysis
+    dates = [parseDate(startDateStr)];
+    log(`Analyzing time data for ${startDateStr}`);
+  } else {
+    // Date range analysis
+    const startDate = parseDate(startDateStr);
+    const endDate = parseDate(endDateStr);
+    dates = getDatesBetween(startDate, endDate);
+    isDateRange = true;
+    log(`Analyzing time data from ${startDateStr} to ${endDateStr}`);
+  }
+  const calendarDayCount = dates.length;
+
+  // If day type filters are specified, filter dates by day type
+  if (dayTypeFilters.length > 0) {
+    const matchingDays = filterDatesByDayType(
+      dates,
+      dayTypeFilters,
+      isExceptFilter
+    );
+
+    if (matchingDays.length === 0) {
+      const filterType = isExceptFilter ? "except" : "just";
+      log(
         `No results found for day type filter "${filterType}": ${dayTypeFilters.join(
           ", "
         )}`
@@ -359,303 +1808,654 @@ function analyzeTimeData(
       return;
     }
 
-    dates = filteredDates;
+    dates = matchingDays.map(({ date }) => date);
     const filterType = isExceptFilter ? "excluding" : "matching";
-    console.log(
+    log(
       `Filtered to ${
-        filteredDates.length
+        matchingDays.length
       } day(s) ${filterType} day type(s): ${dayTypeFilters.join(", ")}`
     );
-    matchingDayTypes.forEach(({ date, dayType }) => {
-      console.log(`  - ${date}: ${dayType}`);
+    matchingDays.forEach(({ date, dayType }) => {
+      log(`  - ${formatDate(date)}: ${dayType}`);
     });
-    console.log("");
+    log("");
   }
 
   // Collect all time entries from all dates
   let allTimeEntries = [];
   let filesFound = 0;
+  const dailyEntries = [];
 
   dates.forEach((date) => {
-    const dateEntries = loadTimeDataForDate(date);
-    if (dateEntries.length > 0) {
-      // Filter out the day type entry (it doesn't have session_name or time fields)
-      const timeEntries = dateEntries.filter(
-        (entry) => entry.session_name && entry.time
-      );
+    const timeEntries = loadValidTimeEntries(date);
+    if (timeEntries.length > 0) {
       allTimeEntries = allTimeEntries.concat(timeEntries);
       filesFound++;
     }
+    dailyEntries.push({
+      date,
+      hasData: timeEntries.length > 0,
+      entries: timeEntries,
+    });
   });
 
   if (allTimeEntries.length === 0) {
-    console.log("No time data found for the specified date(s).");
+    log("No time data found for the specified date(s).");
     return;
   }
 
-  console.log(
-    `\nFound data from ${filesFound} file(s) with ${allTimeEntries.length} total entries.\n`
+  // If tag filters are specified, keep only entries carrying any of the tags
+  if (tagFilters.length > 0) {
+    const hasTag = (entry) => hasAnyTag(entry, tagFilters);
+    allTimeEntries = allTimeEntries.filter(hasTag);
+    dailyEntries.forEach((day) => {
+      day.entries = day.entries.filter(hasTag);
+    });
+
+    if (allTimeEntries.length === 0) {
+      log(`No entries found with tag(s): ${tagFilters.join(", ")}`);
+      return;
+    }
+
+    log(`Filtered to entries tagged: ${tagFilters.join(", ")}`);
+  }
+
+  log(
+    `\nFound data from ${filesFound} file(s) with ${allTimeEntries.length} total entries.`
   );
 
+  // Days without a clean file (or without valid entries) count as missing
+  const missingDates = dailyEntries
+    .filter((day) => !day.hasData)
+    .map((day) => formatDate(day.date));
+  const averageDays = {
+    calendar: calendarDayCount,
+    matching: dates.length,
+    tracked: dates.length - missingDates.length,
+  }[averageBasis];
+
+  if (isDateRange && dates.length > 1) {
+    log(
+      `Averages are per ${averageBasis} day (${averageDays} day(s); ${
+        dates.length - missingDates.length
+      } of ${dates.length} tracked${
+        missingDates.length > 0 ? `, missing: ${missingDates.join(", ")}` : ""
+      }).`
+    );
+  }
+  log("");
+
   // Load categories for main category analysis
   const categories = loadCategories();
 
   // Aggregate and display results
   const sessionAggregates = aggregateSessionTime(allTimeEntries);
   const projectAggregates = aggregateProjectTime(allTimeEntries);
+  const tagAggregates = allTimeEntries.some((entry) =>
+    Array.isArray(entry.tags)
+  )
+    ? aggregateTagTime(allTimeEntries)
+    : [];
   const categoryAggregates = aggregateCategoryTime(
     allTimeEntries,
     categories,
     excludeCategories
   );
+  const reconciliation = reconcileCategoryTime(
+    allTimeEntries,
+    categories,
+    excludeCategories
+  );
+  // The category tree is only shown when categories.json has subcategories
+  const categoryTreeAggregates = flattenCategories(categories).some(
+    ({ path: categoryPath }) => categoryPath.length > 1
+  )
+    ? aggregateCategoryTree(allTimeEntries, categories, excludeCategories)
+    : [];
 
   // Calculate grand total first
   const grandTotalSeconds = sessionAggregates.reduce((total, { totalTime }) => {
     return total + parseTimeToSeconds(totalTime);
   }, 0);
 
-  console.log("Session Time Aggregates (ordered alphabetically):");
-  console.log("================================================");
-
-  sessionAggregates.forEach(({ session, totalTime }) => {
-    const sessionSeconds = parseTimeToSeconds(totalTime);
-    const percentage = ((sessionSeconds / grandTotalSeconds) * 100).toFixed(1);
-
-    let displayTime = totalTime;
-    if (isDateRange && dates.length > 1) {
-      const averageSeconds = Math.round(sessionSeconds / dates.length);
-      const averageTime = secondsToTimeFormat(averageSeconds);
-      displayTime = `${totalTime}/${averageTime}`;
-    }
-
-    console.log(`${session}: ${displayTime} (${percentage}%)`);
-  });
-
-  console.log("================================================");
-  console.log(
-    `Total time across all sessions: ${secondsToTimeFormat(grandTotalSeconds)}`
+  // Build the results shared by every output format and the export
+  const totalProjectSeconds = projectAggregates.reduce(
+    (total, { totalTime }) => {
+      return total + parseTimeToSeconds(totalTime);
+    },
+    0
   );
 
-  // Display Projects section if there are any projects
-  if (projectAggregates.length > 0) {
-    console.log("\nProjects (ordered alphabetically):");
-    console.log("==================================");
-
-    projectAggregates.forEach(({ project, totalTime }) => {
-      const projectSeconds = parseTimeToSeconds(totalTime);
-      const percentage = ((projectSeconds / grandTotalSeconds) * 100).toFixed(
-        1
-      );
+  const totalCategorySeconds = categoryAggregates.reduce(
+    (total, { totalTime }) => {
+      return total + parseTimeToSeconds(totalTime);
+    },
+    0
+  );
 
-      let displayTime = totalTime;
+  const analysisResults = {
+    dateRange: {
+      startDate: startDateStr,
+      endDate: endDateStr,
+      ...(dayTypeFilters.length > 0 && {
+        dayTypeFilter: dayTypeFilters,
+        filterType: isExceptFilter ? "except" : "just",
+        filteredDescription: isExceptFilter
+          ? `Filtered to exclude: ${dayTypeFilters.join(", ")}`
+          : `Filtered to show only: ${dayTypeFilters.join(", ")}`,
+      }),
+      ...(excludeCategories.length > 0 && {
+        excludedCategories: excludeCategories,
+        excludedCategoriesDescription: `Excluded categories: ${excludeCategories.join(
+          ", "
+        )}`,
+      }),
+      ...(tagFilters.length > 0 && {
+        tagFilter: tagFilters,
+        tagFilterDescription: `Filtered to entries tagged: ${tagFilters.join(
+          ", "
+        )}`,
+      }),
+    },
+    summary: {
+      totalFiles: filesFound,
+      totalEntries: allTimeEntries.length,
+      totalTime: secondsToTimeFormat(grandTotalSeconds),
+      totalTimeSeconds: grandTotalSeconds,
+      totalProjectTime: secondsToTimeFormat(totalProjectSeconds),
+      totalProjectTimeSeconds: totalProjectSeconds,
+      totalCategoryTime: secondsToTimeFormat(totalCategorySeconds),
+      totalCategoryTimeSeconds: totalCategorySeconds,
+      reconciliation: {
+        sessionTime: secondsToTimeFormat(reconciliation.sessionSeconds),
+        categoryTime: secondsToTimeFormat(reconciliation.categorySeconds),
+        excludedTime: secondsToTimeFormat(reconciliation.excludedSeconds),
+        hiddenUncategorizedTime: secondsToTimeFormat(
+          reconciliation.hiddenUncategorizedSeconds
+        ),
+        sessionTimeSeconds: reconciliation.sessionSeconds,
+        categoryTimeSeconds: reconciliation.categorySeconds,
+        excludedTimeSeconds: reconciliation.excludedSeconds,
+        hiddenUncategorizedTimeSeconds:
+          reconciliation.hiddenUncategorizedSeconds,
+      },
+      ...(isDateRange &&
+        dates.length > 1 && {
+          totalDays: dates.length,
+          averageTimePerDay: secondsToTimeFormat(
+            Math.round(grandTotalSeconds / averageDays)
+          ),
+          averageTimePerDaySeconds: Math.round(grandTotalSeconds / averageDays),
+          averageBasis,
+          averageDays,
+          calendarDays: calendarDayCount,
+          trackedDays: dates.length - missingDates.length,
+          missingDates,
+        }),
+    },
+    sessions: sessionAggregates.map(({ session, totalTime }) => {
+      const sessionSeconds = parseTimeToSeconds(totalTime);
+      const percentage = formatShare(sessionSeconds, grandTotalSeconds);
+      const sessionData = {
+        sessionName: session,
+        totalTime: totalTime,
+        totalTimeSeconds: sessionSeconds,
+        percentage,
+      };
+
+      // Add average time if it's a date range
       if (isDateRange && dates.length > 1) {
-        const averageSeconds = Math.round(projectSeconds / dates.length);
-        const averageTime = secondsToTimeFormat(averageSeconds);
-        displayTime = `${totalTime}/${averageTime}`;
+        const averageSeconds = Math.round(sessionSeconds / averageDays);
+        sessionData.averageTime = secondsToTimeFormat(averageSeconds);
+        sessionData.averageTimeSeconds = averageSeconds;
       }
 
-      console.log(`${project}: ${displayTime} (${percentage}%)`);
-    });
+      return sessionData;
+    }),
+    projects: projectAggregates.map(({ project, totalTime }) => {
+      const projectSeconds = parseTimeToSeconds(totalTime);
+      const percentage = formatShare(projectSeconds, grandTotalSeconds);
+      const projectData = {
+        projectName: project,
+        totalTime: totalTime,
+        totalTimeSeconds: projectSeconds,
+        percentage,
+      };
+
+      // Add average time if it's a date range
+      if (isDateRange && dates.length > 1) {
+        const averageSeconds = Math.round(projectSeconds / averageDays);
+        projectData.averageTime = secondsToTimeFormat(averageSeconds);
+        projectData.averageTimeSeconds = averageSeconds;
+      }
 
-    console.log("==================================");
+      return projectData;
+    }),
+    tags: tagAggregates.map(({ tag, totalTime }) => {
+      const tagSeconds = parseTimeToSeconds(totalTime);
+      const percentage = formatShare(tagSeconds, grandTotalSeconds);
+      const tagData = {
+        tagName: tag,
+        totalTime: totalTime,
+        totalTimeSeconds: tagSeconds,
+        percentage,
+      };
+
+      // Add average time if it's a date range
+      if (isDateRange && dates.length > 1) {
+        const averageSeconds = Math.round(tagSeconds / averageDays);
+        tagData.averageTime = secondsToTimeFormat(averageSeconds);
+        tagData.averageTimeSeconds = averageSeconds;
+      }
 
-    // Calculate total project time
-    const totalProjectSeconds = projectAggregates.reduce(
-      (total, { totalTime }) => {
-        return total + parseTimeToSeconds(totalTime);
-      },
-      0
-    );
+      return tagData;
+    }),
+    categories: categoryAggregates.map(({ category, totalTime }) => {
+      const categorySeconds = parseTimeToSeconds(totalTime);
+      const percentage = formatShare(categorySeconds, totalCategorySeconds);
+      const categoryData = {
+        categoryName: category,
+        totalTime: totalTime,
+        totalTimeSeconds: categorySeconds,
+        percentage,
+      };
+
+      // Add average time if it's a date range
+      if (isDateRange && dates.length > 1) {
+        const averageSeconds = Math.round(categorySeconds / averageDays);
+        categoryData.averageTime = secondsToTimeFormat(averageSeconds);
+        categoryData.averageTimeSeconds = averageSeconds;
+      }
 
-    console.log(
-      `Total time across all projects: ${secondsToTimeFormat(
-        totalProjectSeconds
-      )}`
-    );
-  }
+      return categoryData;
+    }),
+    uncategorizedSessions: Object.keys(reconciliation.uncategorizedTotals)
+      .sort()
+      .map((sessionName) => {
+        const sessionSeconds = reconciliation.uncategorizedTotals[sessionName];
+        const percentage = formatShare(sessionSeconds, grandTotalSeconds);
+        const sessionData = {
+          sessionName,
+          totalTime: secondsToTimeFormat(sessionSeconds),
+          totalTimeSeconds: sessionSeconds,
+          percentage,
+        };
 
-  // Display By Main Categories section
-  if (categoryAggregates.length > 0) {
-    let categoryTitle = "\nBy Main Categories (ordered alphabetically):";
-    if (excludeCategories.length > 0) {
-      categoryTitle += `\n[Excluding categories: ${excludeCategories.join(
-        ", "
-      )}]`;
-    }
-    console.log(categoryTitle);
-    console.log("===========================================");
+        // Add average time if it's a date range
+        if (isDateRange && dates.length > 1) {
+          const averageSeconds = Math.round(sessionSeconds / averageDays);
+          sessionData.averageTime = secondsToTimeFormat(averageSeconds);
+          sessionData.averageTimeSeconds = averageSeconds;
+        }
 
-    // Calculate total categorized time for percentage calculations
-    const totalCategorizedSeconds = categoryAggregates.reduce(
-      (total, { totalTime }) => {
-        return total + parseTimeToSeconds(totalTime);
-      },
-      0
-    );
+        return sessionData;
+      }),
+    ...(categoryTreeAggregates.length > 0 && {
+      categoryTree: categoryTreeAggregates.map(
+        ({ path: categoryPath, totalTime }) => {
+          const categorySeconds = parseTimeToSeconds(totalTime);
+          const percentage = formatShare(categorySeconds, totalCategorySeconds);
+          const categoryData = {
+            categoryPath: categoryPath.join(" > "),
+            categoryName: categoryPath[categoryPath.length - 1],
+            depth: categoryPath.length - 1,
+            totalTime: totalTime,
+            totalTimeSeconds: categorySeconds,
+            percentage,
+          };
+
+          // Add average time if it's a date range
+          if (isDateRange && dates.length > 1) {
+            const averageSeconds = Math.round(categorySeconds / averageDays);
+            categoryData.averageTime = secondsToTimeFormat(averageSeconds);
+            categoryData.averageTimeSeconds = averageSeconds;
+          }
+
+          return categoryData;
+        }
+      ),
+    }),
+    ...(dailyBreakdown && {
+      daily: buildDailyBreakdown(
+        dailyEntries,
+        dailyBreakdown,
+        categories,
+        excludeCategories
+      ),
+    }),
+    ...(groupBy && {
+      groups: buildGroupedResults(
+        dailyEntries,
+        groupBy,
+        categories,
+        excludeCategories
+      ),
+    }),
+    ...(heatmap && {
+      heatmap: buildHeatmap(
+        dailyEntries,
+        heatmap.itemType,
+        heatmap.binMinutes,
+        categories,
+        excludeCategories
+      ),
+    }),
+    ...(showTargets && {
+      targets: evaluateTargets(loadTargets(), dailyEntries, categories),
+    }),
+    generatedAt: new Date().toISOString(),
+  };
+
+  if (format !== "text") {
+    console.log(renderReport(analysisResults, format));
+  } else {
+    console.log("Session Time Aggregates (ordered alphabetically):");
+    console.log("================================================");
 
-    categoryAggregates.forEach(({ category, totalTime }) => {
-      const categorySeconds = parseTimeToSeconds(totalTime);
-      const percentage = (
-        (categorySeconds / totalCategorizedSeconds) *
-        100
-      ).toFixed(1);
+    sessionAggregates.forEach(({ session, totalTime }) => {
+      const sessionSeconds = parseTimeToSeconds(totalTime);
+      const percentage = formatShare(sessionSeconds, grandTotalSeconds);
 
       let displayTime = totalTime;
       if (isDateRange && dates.length > 1) {
-        const averageSeconds = Math.round(categorySeconds / dates.length);
+        const averageSeconds = Math.round(sessionSeconds / averageDays);
         const averageTime = secondsToTimeFormat(averageSeconds);
         displayTime = `${totalTime}/${averageTime}`;
       }
 
-      console.log(`${category}: ${displayTime} (${percentage}%)`);
+      console.log(`${session}: ${displayTime} (${percentage})`);
     });
 
-    console.log("===========================================");
-
+    console.log("================================================");
     console.log(
-      `Total time across all categories: ${secondsToTimeFormat(
-        totalCategorizedSeconds
+      `Total time across all sessions: ${secondsToTimeFormat(
+        grandTotalSeconds
       )}`
     );
-  }
-
-  // Export results if requested
-  if (shouldExport) {
-    const totalProjectSeconds = projectAggregates.reduce(
-      (total, { totalTime }) => {
-        return total + parseTimeToSeconds(totalTime);
-      },
-      0
-    );
 
-    const totalCategorySeconds = categoryAggregates.reduce(
-      (total, { totalTime }) => {
-        return total + parseTimeToSeconds(totalTime);
-      },
-      0
-    );
+    // Display Projects section if there are any projects
+    if (projectAggregates.length > 0) {
+      console.log("\nProjects (ordered alphabetically):");
+      console.log("==================================");
 
-    const analysisResults = {
-      dateRange: {
-        startDate: startDateStr,
-        endDate: endDateStr,
-        ...(dayTypeFilters.length > 0 && {
-          dayTypeFilter: dayTypeFilters,
-          filterType: isExceptFilter ? "except" : "just",
-          filteredDescription: isExceptFilter
-            ? `Filtered to exclude: ${dayTypeFilters.join(", ")}`
-            : `Filtered to show only: ${dayTypeFilters.join(", ")}`,
-        }),
-        ...(excludeCategories.length > 0 && {
-          excludedCategories: excludeCategories,
-          excludedCategoriesDescription: `Excluded categories: ${excludeCategories.join(
-            ", "
-          )}`,
-        }),
-      },
-      summary: {
-        totalFiles: filesFound,
-        totalEntries: allTimeEntries.length,
-        totalTime: secondsToTimeFormat(grandTotalSeconds),
-        totalTimeSeconds: grandTotalSeconds,
-        totalProjectTime: secondsToTimeFormat(totalProjectSeconds),
-        totalProjectTimeSeconds: totalProjectSeconds,
-        totalCategoryTime: secondsToTimeFormat(totalCategorySeconds),
-        totalCategoryTimeSeconds: totalCategorySeconds,
-        ...(isDateRange &&
-          dates.length > 1 && {
-            totalDays: dates.length,
-            averageTimePerDay: secondsToTimeFormat(
-              Math.round(grandTotalSeconds / dates.length)
-            ),
-            averageTimePerDaySeconds: Math.round(
-              grandTotalSeconds / dates.length
-            ),
-          }),
-      },
-      sessions: sessionAggregates.map(({ session, totalTime }) => {
-        const sessionSeconds = parseTimeToSeconds(totalTime);
-        const percentage = ((sessionSeconds / grandTotalSeconds) * 100).toFixed(
-          1
-        );
-        const sessionData = {
-          sessionName: session,
-          totalTime: totalTime,
-          totalTimeSeconds: sessionSeconds,
-          percentage: `${percentage}%`,
-        };
+      projectAggregates.forEach(({ project, totalTime }) => {
+        const projectSeconds = parseTimeToSeconds(totalTime);
+        const percentage = formatShare(projectSeconds, grandTotalSeconds);
 
-        // Add average time if it's a date range
+        let displayTime = totalTime;
         if (isDateRange && dates.length > 1) {
-          const averageSeconds = Math.round(sessionSeconds / dates.length);
-          sessionData.averageTime = secondsToTimeFormat(averageSeconds);
-          sessionData.averageTimeSeconds = averageSeconds;
+          const averageSeconds = Math.round(projectSeconds / averageDays);
+          const averageTime = secondsToTimeFormat(averageSeconds);
+          displayTime = `${totalTime}/${averageTime}`;
         }
 
-        return sessionData;
-      }),
-      projects: projectAggregates.map(({ project, totalTime }) => {
-        const projectSeconds = parseTimeToSeconds(totalTime);
-        const percentage = ((projectSeconds / grandTotalSeconds) * 100).toFixed(
-          1
-        );
-        const projectData = {
-          projectName: project,
-          totalTime: totalTime,
-          totalTimeSeconds: projectSeconds,
-          percentage: `${percentage}%`,
-        };
+        console.log(`${project}: ${displayTime} (${percentage})`);
+      });
 
-        // Add average time if it's a date range
+      console.log("==================================");
+
+      // Calculate total project time
+      const totalProjectSeconds = projectAggregates.reduce(
+        (total, { totalTime }) => {
+          return total + parseTimeToSeconds(totalTime);
+        },
+        0
+      );
+
+      console.log(
+        `Total time across all projects: ${secondsToTimeFormat(
+          totalProjectSeconds
+        )}`
+      );
+    }
+
+    // Display Tags section if entries carry tags
+    if (tagAggregates.length > 0) {
+      console.log("\nTags (ordered alphabetically):");
+      console.log("==============================");
+
+      tagAggregates.forEach(({ tag, totalTime }) => {
+        const tagSeconds = parseTimeToSeconds(totalTime);
+        const percentage = formatShare(tagSeconds, grandTotalSeconds);
+
+        let displayTime = totalTime;
         if (isDateRange && dates.length > 1) {
-          const averageSeconds = Math.round(projectSeconds / dates.length);
-          projectData.averageTime = secondsToTimeFormat(averageSeconds);
-          projectData.averageTimeSeconds = averageSeconds;
+          const averageSeconds = Math.round(tagSeconds / averageDays);
+          const averageTime = secondsToTimeFormat(averageSeconds);
+          displayTime = `${totalTime}/${averageTime}`;
         }
 
-        return projectData;
-      }),
-      categories: categoryAggregates.map(({ category, totalTime }) => {
+        console.log(`${tag}: ${displayTime} (${percentage})`);
+      });
+
+      console.log("==============================");
+      console.log(
+        "(An entry with several tags counts towards each of them; percentages are of total time.)"
+      );
+    }
+
+    // Display By Main Categories section
+    if (categoryAggregates.length > 0) {
+      let categoryTitle = "\nBy Main Categories (ordered alphabetically):";
+      if (excludeCategories.length > 0) {
+        categoryTitle += `\n[Excluding categories: ${excludeCategories.join(
+          ", "
+        )}]`;
+      }
+      console.log(categoryTitle);
+      console.log("===========================================");
+
+      // Calculate total categorized time for percentage calculations
+      const totalCategorizedSeconds = categoryAggregates.reduce(
+        (total, { totalTime }) => {
+          return total + parseTimeToSeconds(totalTime);
+        },
+        0
+      );
+
+      categoryAggregates.forEach(({ category, totalTime }) => {
         const categorySeconds = parseTimeToSeconds(totalTime);
-        const percentage = (
-          (categorySeconds / totalCategorySeconds) *
-          100
-        ).toFixed(1);
-        const categoryData = {
-          categoryName: category,
-          totalTime: totalTime,
-          totalTimeSeconds: categorySeconds,
-          percentage: `${percentage}%`,
-        };
+        const percentage = formatShare(
+          categorySeconds,
+          totalCategorizedSeconds
+        );
 
-        // Add average time if it's a date range
+        let displayTime = totalTime;
         if (isDateRange && dates.length > 1) {
-          const averageSeconds = Math.round(categorySeconds / dates.length);
-          categoryData.averageTime = secondsToTimeFormat(averageSeconds);
-          categoryData.averageTimeSeconds = averageSeconds;
+          const averageSeconds = Math.round(categorySeconds / averageDays);
+          const averageTime = secondsToTimeFormat(averageSeconds);
+          displayTime = `${totalTime}/${averageTime}`;
         }
 
-        return categoryData;
-      }),
-      generatedAt: new Date().toISOString(),
-    };
+        console.log(`${category}: ${displayTime} (${percentage})`);
+      });
+
+      console.log("===========================================");
+
+      console.log(
+        `Total time across all categories: ${secondsToTimeFormat(
+          totalCategorizedSeconds
+        )}`
+      );
+    }
+
+    // Reconcile the session total with the category total
+    const {
+      sessionTime,
+      categoryTime,
+      excludedTime,
+      excludedTimeSeconds,
+      hiddenUncategorizedTime,
+      hiddenUncategorizedTimeSeconds,
+    } = analysisResults.summary.reconciliation;
+    let reconciliationLine = `Session total ${sessionTime} = category total ${categoryTime}`;
+    if (excludedTimeSeconds > 0) {
+      reconciliationLine += ` + excluded categories ${excludedTime}`;
+    }
+    if (hiddenUncategorizedTimeSeconds > 0) {
+      reconciliationLine += ` + excluded uncategorized ${hiddenUncategorizedTime}`;
+    }
+    console.log(reconciliationLine);
+
+    // List the sessions that no category rule matches
+    if (analysisResults.uncategorizedSessions.length > 0) {
+      console.log(
+        '\nUncategorized sessions (add them to categories.json, see "node check.js categories"):'
+      );
+      console.log("===========================================");
+      analysisResults.uncategorizedSessions.forEach((session) => {
+        const displayTime = session.averageTime
+          ? `${session.totalTime}/${session.averageTime}`
+          : session.totalTime;
+        console.log(
+          `${session.sessionName}: ${displayTime} (${session.percentage})`
+        );
+      });
+      console.log("===========================================");
+    }
+
+    // Display the rolled-up category tree when there are subcategories
+    if (analysisResults.categoryTree) {
+      console.log("\nCategory Tree (subtotals include subcategories):");
+      console.log("===========================================");
+
+      analysisResults.categoryTree.forEach((node) => {
+        const displayTime = node.averageTime
+          ? `${node.totalTime}/${node.averageTime}`
+          : node.totalTime;
+        console.log(
+          `${"  ".repeat(node.depth)}${node.categoryName}: ${displayTime} (${
+            node.percentage
+          })`
+        );
+      });
+
+      console.log("===========================================");
+    }
+
+    // Display Daily Breakdown section if requested
+    if (analysisResults.daily) {
+      printDailyBreakdown(analysisResults.daily);
+    }
+
+    // Display grouped results if requested
+    if (analysisResults.groups) {
+      printGroupedResults(analysisResults.groups);
+    }
+
+    // Display the time-of-day heatmap if requested
+    if (analysisResults.heatmap) {
+      printHeatmap(analysisResults.heatmap);
+    }
+
+    // Display target progress if requested
+    if (analysisResults.targets) {
+      printTargets(analysisResults.targets);
+    }
+  }
 
+  // Export results if requested
+  if (shouldExport) {
     exportResults(
       analysisResults,
       startDateStr,
       endDateStr,
       dayTypeFilters,
       isExceptFilter,
-      excludeCategories
+      excludeCategories,
+      { tagFilters, format }
     );
   }
 }
 
+/**
+ * Remove a "--format <format>" or "--format=<format>" flag from the arguments
+ */
+function extractFormatArg(args) {
+  const remainingArgs = [];
+  let format = "text";
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--format") {
+      format = args[i + 1];
+      i++;
+    } else if (args[i].startsWith("--format=")) {
+      format = args[i].substring("--format=".length);
+    } else {
+      remainingArgs.push(args[i]);
+    }
+  }
+
+  if (!REPORT_FORMATS[format]) {
+    return {
+      args: remainingArgs,
+      error: `Unknown format "${format}". Use: ${Object.keys(
+        REPORT_FORMATS
+      ).join(", ")}`,
+    };
+  }
+
+  return { format, args: remainingArgs };
+}
+
+// Keywords that start a new section of command line arguments
+const ARGUMENT_KEYWORDS = [
+  "just",
+  "except",
+  "exclude",
+  "tag",
+  "daily",
+  "group",
+  "average",
+  "targets",
+  "heatmap",
+];
+
+/**
+ * Collect the arguments following a keyword, up to the next keyword
+ * ("export" may appear anywhere and is skipped)
+ */
+function getKeywordArgs(args, keywordIndex) {
+  const values = [];
+
+  for (let i = keywordIndex + 1; i < args.length; i++) {
+    if (ARGUMENT_KEYWORDS.includes(args[i])) break;
+    if (args[i] !== "export") {
+      values.push(args[i]);
+    }
+  }
+
+  return values;
+}
+
 /**
  * Parse command line arguments and run analysis
  */
 function main() {
-  const args = process.argv.slice(2);
+  const { timezone: cliTimezone, args: argsWithoutTimezone } =
+    extractTimezoneArg(process.argv.slice(2));
+
+  // Relative dates like "today" are resolved in this timezone
+  let timezone;
+  try {
+    timezone = resolveTimezone(cliTimezone);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const {
+    format,
+    args,
+    error: formatError,
+  } = extractFormatArg(argsWithoutTimezone);
+
+  if (formatError) {
+    console.error(formatError);
+    process.exitCode = 1;
+    return;
+  }
 
   if (args.length === 0) {
     console.log("Usage:");
@@ -672,6 +2472,34 @@ function main() {
     console.log(
       "  Category exclusion: node analyzer.js YYYY-MM-DD - YYYY-MM-DD [export] [just|except <dayType>] exclude category <category1> [category2] ..."
     );
+    console.log(
+      "  Tag filter: node analyzer.js YYYY-MM-DD [- YYYY-MM-DD] [export] tag <tag1> [tag2] ..."
+    );
+    console.log(
+      "  Output format: node analyzer.js ... [--format markdown|csv|html]"
+    );
+    console.log(
+      "  Daily breakdown: node analyzer.js YYYY-MM-DD - YYYY-MM-DD [export] ... daily [categories|sessions]"
+    );
+    console.log(
+      "  Grouping: node analyzer.js YYYY-MM-DD - YYYY-MM-DD [export] ... group week|month|weekday"
+    );
+    console.log(
+      "  Average basis: node analyzer.js YYYY-MM-DD - YYYY-MM-DD [export] ... average tracked|calendar|matching"
+    );
+    console.log(
+      "  Heatmap: node analyzer.js YYYY-MM-DD [- YYYY-MM-DD] [export] ... heatmap [categories|sessions] [hour|15min]"
+    );
+    console.log(
+      "  Targets: node analyzer.js YYYY-MM-DD [- YYYY-MM-DD] [export] ... targets"
+    );
+    console.log(
+      "  Compare periods: node analyzer.js compare <date> [- <date>] vs <date> [- <date>] [export] [just|except ...] [exclude category ...] [tag ...]"
+    );
+    console.log(
+      "  Named dates: today, yesterday, this-week, last-week, this-month, last-month, last-N-days, YYYY-MM"
+    );
+    console.log("  Timezone: node analyzer.js ... [--tz <zone>]");
     console.log("");
     console.log("Examples:");
     console.log("  node analyzer.js 2025-10-30");
@@ -692,6 +2520,24 @@ function main() {
     console.log(
       "  node analyzer.js 2025-11-01 - 2025-11-10 export exclude category overhead"
     );
+    console.log(
+      "  node analyzer.js 2025-11-01 - 2025-11-10 tag billable clientA"
+    );
+    console.log(
+      "  node analyzer.js 2025-11-01 - 2025-11-10 export --format markdown"
+    );
+    console.log("  node analyzer.js 2025-11-01 - 2025-11-10 daily sessions");
+    console.log("  node analyzer.js 2025-10-01 - 2025-12-31 group week");
+    console.log("  node analyzer.js 2025-11 just workday average matching");
+    console.log("  node analyzer.js this-week daily");
+    console.log("  node analyzer.js last-month targets");
+    console.log("  node analyzer.js last-30-days heatmap sessions 15min");
+    console.log("  node analyzer.js 2025-11 just workday");
+    console.log("  node analyzer.js 2025-09 - last-month group month");
+    console.log(
+      "  node analyzer.js compare 2025-10-01 - 2025-10-31 vs 2025-11-01 - 2025-11-30"
+    );
+    console.log("  node analyzer.js compare last-month vs this-month export");
     return;
   }
 
@@ -709,10 +2555,35 @@ function main() {
   const categoryIndex = args.indexOf("category");
   let excludeCategories = [];
 
+  // Check if tag filtering is requested
+  const tagIndex = args.indexOf("tag");
+  let tagFilters = [];
+
+  // Check if a daily breakdown is requested (by categories unless "sessions")
+  const dailyIndex = args.indexOf("daily");
+  let dailyBreakdown = null;
+
+  // Check if grouping by week, month or weekday is requested
+  const groupIndex = args.indexOf("group");
+  let groupBy = null;
+
+  // Check which days averages are divided by (tracked days unless given)
+  const averageIndex = args.indexOf("average");
+  let averageBasis = "tracked";
+
+  // Check if target progress from targets.json is requested
+  const targetsIndex = args.indexOf("targets");
+  const showTargets = targetsIndex !== -1;
+
+  // Check if a time-of-day heatmap is requested (categories, hourly unless given)
+  const heatmapIndex = args.indexOf("heatmap");
+  let heatmap = null;
+
   if (justIndex !== -1 && exceptIndex !== -1) {
     console.error(
       'Cannot use both "just" and "except" filters in the same command.'
     );
+    process.exitCode = 1;
     return;
   }
 
@@ -722,84 +2593,246 @@ function main() {
       console.error(
         'Invalid syntax: "exclude" must be followed immediately by "category"'
       );
+      process.exitCode = 1;
       return;
     }
 
     // Extract categories after "exclude category"
-    excludeCategories = args
-      .slice(categoryIndex + 1)
-      .filter((arg) => arg !== "export");
+    excludeCategories = getKeywordArgs(args, categoryIndex);
 
     if (excludeCategories.length === 0) {
       console.error('No categories specified after "exclude category"');
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  if (tagIndex !== -1) {
+    // Extract tags after "tag" up to the next keyword
+    tagFilters = getKeywordArgs(args, tagIndex);
+
+    if (tagFilters.length === 0) {
+      console.error('No tags specified after "tag"');
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  if (dailyIndex !== -1) {
+    const dailyArgs = getKeywordArgs(args, dailyIndex);
+    dailyBreakdown = dailyArgs[0] || "categories";
+
+    if (
+      dailyArgs.length > 1 ||
+      !["categories", "sessions"].includes(dailyBreakdown)
+    ) {
+      console.error('Use "daily", "daily categories" or "daily sessions"');
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  if (groupIndex !== -1) {
+    const groupArgs = getKeywordArgs(args, groupIndex);
+    groupBy = groupArgs[0];
+
+    if (
+      groupArgs.length !== 1 ||
+      !["week", "month", "weekday"].includes(groupBy)
+    ) {
+      console.error('Use "group week", "group month" or "group weekday"');
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  if (averageIndex !== -1) {
+    const averageArgs = getKeywordArgs(args, averageIndex);
+    averageBasis = averageArgs[0];
+
+    if (
+      averageArgs.length !== 1 ||
+      !["tracked", "calendar", "matching"].includes(averageBasis)
+    ) {
+      console.error(
+        'Use "average tracked", "average calendar" or "average matching"'
+      );
+      process.exitCode = 1;
       return;
     }
   }
 
+  if (showTargets && getKeywordArgs(args, targetsIndex).length > 0) {
+    console.error(
+      '"targets" takes no arguments; edit json/settings/targets.json'
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  if (heatmapIndex !== -1) {
+    const heatmapArgs = getKeywordArgs(args, heatmapIndex);
+    heatmap = { itemType: "categories", binMinutes: 60 };
+
+    for (const heatmapArg of heatmapArgs) {
+      if (["categories", "sessions"].includes(heatmapArg)) {
+        heatmap.itemType = heatmapArg;
+      } else if (heatmapArg === "hour" || heatmapArg === "15min") {
+        heatmap.binMinutes = heatmapArg === "hour" ? 60 : 15;
+      } else {
+        console.error('Use "heatmap [categories|sessions] [hour|15min]"');
+        process.exitCode = 1;
+        return;
+      }
+    }
+  }
+
   if (justIndex !== -1) {
-    // Extract day types after "just" but before "exclude"
-    const endIndex = excludeIndex !== -1 ? excludeIndex : args.length;
-    dayTypeFilters = args
-      .slice(justIndex + 1, endIndex)
-      .filter((arg) => arg !== "export" && arg !== "except");
+    // Extract day types after "just" up to the next keyword
+    dayTypeFilters = getKeywordArgs(args, justIndex);
     isExceptFilter = false;
   } else if (exceptIndex !== -1) {
-    // Extract day types after "except" but before "exclude"
-    const endIndex = excludeIndex !== -1 ? excludeIndex : args.length;
-    dayTypeFilters = args
-      .slice(exceptIndex + 1, endIndex)
-      .filter((arg) => arg !== "export" && arg !== "just");
+    // Extract day types after "except" up to the next keyword
+    dayTypeFilters = getKeywordArgs(args, exceptIndex);
     isExceptFilter = true;
   }
 
-  // Filter out 'export', 'just', 'except', 'exclude', 'category' and their arguments from args
-  const filteredArgs = args.filter((arg, index) => {
-    return (
-      arg !== "export" &&
-      arg !== "just" &&
-      arg !== "except" &&
-      arg !== "exclude" &&
-      arg !== "category" &&
-      (justIndex === -1 || index < justIndex || index === justIndex) &&
-      (exceptIndex === -1 || index < exceptIndex || index === exceptIndex) &&
-      (excludeIndex === -1 || index < excludeIndex)
+  // The dates are everything before the first keyword, minus 'export'
+  const firstKeywordIndex = args.findIndex((arg) =>
+    ARGUMENT_KEYWORDS.includes(arg)
+  );
+  const filteredArgs = args
+    .slice(0, firstKeywordIndex === -1 ? args.length : firstKeywordIndex)
+    .filter((arg) => arg !== "export");
+
+  // Compare two periods: compare <period A> vs <period B>
+  if (filteredArgs[0] === "compare") {
+    const vsIndex = filteredArgs.indexOf("vs");
+    const periodA =
+      vsIndex > 1
+        ? resolveDateArgs(filteredArgs.slice(1, vsIndex), timezone)
+        : null;
+    const periodB =
+      vsIndex !== -1
+        ? resolveDateArgs(filteredArgs.slice(vsIndex + 1), timezone)
+        : null;
+
+    if (!periodA || !periodB) {
+      console.error(
+        "Use: node analyzer.js compare <date> [- <date>] vs <date> [- <date>]"
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    if (
+      dailyBreakdown ||
+      groupBy ||
+      averageIndex !== -1 ||
+      showTargets ||
+      heatmap
+    ) {
+      console.error(
+        '"daily", "group", "average", "targets" and "heatmap" are not available with "compare".'
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    comparePeriods(
+      periodA,
+      periodB,
+      shouldExport,
+      dayTypeFilters,
+      isExceptFilter,
+      excludeCategories,
+      { tagFilters, format }
+    );
+    return;
+  }
+
+  // Resolve named dates ("this-week", "2025-11", ...) to a concrete range
+  const dateRange = resolveDateArgs(filteredArgs, timezone);
+  if (!dateRange) {
+    console.error("Invalid arguments. Use:");
+    console.error("  Single date: node analyzer.js <date> [export]");
+    console.error(
+      "  Date range:  node analyzer.js <date> - <date> [export] [just|except <dayType1> [dayType2] ...] [exclude category <category1> [category2] ...] [tag <tag1> [tag2] ...]"
     );
-  });
+    console.error(
+      "  <date> is YYYY-MM-DD, YYYY-MM, today, yesterday, this-week, last-week, this-month, last-month or last-N-days"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  // A named period like "this-week" is a range even though it is one word
+  const isSingleDate =
+    filteredArgs.length === 1 && dateRange.startDate === dateRange.endDate;
 
   // Check for single date with day type filter (not allowed)
-  if (filteredArgs.length === 1 && dayTypeFilters.length > 0) {
+  if (isSingleDate && dayTypeFilters.length > 0) {
     console.error(
       "Day type filtering is not available for single dates. Only intervals are supported."
     );
+    process.exitCode = 1;
+    return;
+  }
+
+  // Check for single date with grouping (not allowed)
+  if (isSingleDate && groupBy) {
+    console.error(
+      "Grouping is not available for single dates. Only intervals are supported."
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  // Check for single date with an average basis (not allowed)
+  if (isSingleDate && averageIndex !== -1) {
+    console.error(
+      "Averages are not available for single dates. Only intervals are supported."
+    );
+    process.exitCode = 1;
     return;
   }
 
   // Check for single date with category exclusion (not allowed)
-  if (filteredArgs.length === 1 && excludeCategories.length > 0) {
+  if (isSingleDate && excludeCategories.length > 0) {
     console.error(
       "Category exclusion is not available for single dates. Only intervals are supported."
     );
+    process.exitCode = 1;
     return;
   }
 
-  if (filteredArgs.length === 1) {
+  if (isSingleDate) {
     // Single date analysis
-    analyzeTimeData(filteredArgs[0], null, shouldExport, [], false, []);
-  } else if (filteredArgs.length === 3 && filteredArgs[1] === "-") {
+    analyzeTimeData(dateRange.startDate, null, shouldExport, [], false, [], {
+      tagFilters,
+      format,
+      dailyBreakdown,
+      showTargets,
+      heatmap,
+    });
+  } else {
     // Date range analysis
     analyzeTimeData(
-      filteredArgs[0],
-      filteredArgs[2],
+      dateRange.startDate,
+      dateRange.endDate,
       shouldExport,
       dayTypeFilters,
       isExceptFilter,
-      excludeCategories
-    );
-  } else {
-    console.error("Invalid arguments. Use:");
-    console.error("  Single date: node analyzer.js YYYY-MM-DD [export]");
-    console.error(
-      "  Date range:  node analyzer.js YYYY-MM-DD - YYYY-MM-DD [export] [just|except <dayType1> [dayType2] ...] [exclude category <category1> [category2] ...]"
+      excludeCategories,
+      {
+        tagFilters,
+        format,
+        dailyBreakdown,
+        groupBy,
+        averageBasis,
+        showTargets,
+        heatmap,
+      }
     );
   }
 }
@@ -813,11 +2846,28 @@ module.exports = {
   aggregateSessionTime,
   aggregateProjectTime,
   aggregateCategoryTime,
+  aggregateTagTime,
+  getEntryTags,
   parseTimeToSeconds,
   secondsToTimeFormat,
   analyzeTimeData,
+  comparePeriods,
   exportResults,
   loadCategories,
+  flattenCategories,
+  getCategoryMatches,
+  getCategoryPath,
   getMainCategory,
+  parseCategoryPath,
+  isCategoryExcluded,
   getDayTypeForDate,
+  getStoredDayType,
+  getDefaultDayType,
+  loadCalendar,
+  loadTargets,
+  evaluateTargets,
+  buildHeatmap,
+  parseDate,
+  formatDate,
+  getDatesBetween,
 };
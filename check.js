@@ -1,29 +1,55 @@
 const fs = require("fs");
 const path = require("path");
+const readline = require("readline");
+const {
+  loadCategories,
+  flattenCategories,
+  getCategoryMatches,
+  getCategoryPath,
+  parseCategoryPath,
+  getStoredDayType,
+  getDefaultDayType,
+  loadCalendar,
+  parseDate,
+  formatDate,
+  getDatesBetween,
+} = require("./analyzer");
+const {
+  getCleanFilePath,
+  createCleanData,
+  readCleanData,
+  writeCleanData,
+  getDateFromCleanFilename,
+  validateCleanData,
+  parseClockTime,
+  parseDuration,
+  getEntryIntervals,
+  findOverlaps,
+  CLEAN_SCHEMA_VERSION,
+} = require("./cleanfile");
+const {
+  loadSettings,
+  extractTimezoneArg,
+  resolveTimezone,
+  resolveDateExpression,
+  resolveDateArgs,
+} = require("./timezone");
 
 function checkCategories() {
-  // Read categories.json
-  const categoriesPath = path.join(
-    __dirname,
-    "json",
-    "settings",
-    "categories.json"
-  );
-  let categories = {};
-
-  try {
-    const categoriesData = JSON.parse(fs.readFileSync(categoriesPath, "utf8"));
-    // Flatten the categories object to get all session names
-    for (const categoryData of categoriesData) {
-      for (const [categoryName, sessionNames] of Object.entries(categoryData)) {
-        for (const sessionName of sessionNames) {
-          categories[sessionName] = categoryName;
-        }
+  const categoryTree = loadCategories();
+
+  // Map each listed session name to its category paths (pattern rules aside)
+  const categories = {};
+  for (const { path: categoryPath, sessions } of flattenCategories(
+    categoryTree
+  )) {
+    for (const sessionName of sessions) {
+      if (typeof sessionName !== "string") continue;
+      if (!categories[sessionName]) {
+        categories[sessionName] = [];
       }
+      categories[sessionName].push(categoryPath.join(" > "));
     }
-  } catch (error) {
-    console.error("Error reading categories.json:", error.message);
-    return;
   }
 
   // Read all clean JSON files
@@ -37,11 +63,15 @@ function checkCategories() {
     for (const file of jsonFiles) {
       const filePath = path.join(cleanDir, file);
       try {
-        const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        const data = readCleanData(filePath).entries;
 
         // Extract session names from each entry
         for (const entry of data) {
-          if (entry.session_name) {
+          if (
+            entry &&
+            typeof entry.session_name === "string" &&
+            entry.session_name
+          ) {
             allSessionNames.add(entry.session_name);
           }
         }
@@ -57,7 +87,7 @@ function checkCategories() {
   // Find session names without categories
   const uncategorizedSessions = [];
   for (const sessionName of allSessionNames) {
-    if (!categories[sessionName]) {
+    if (!getCategoryPath(sessionName, categoryTree)) {
       uncategorizedSessions.push(sessionName);
     }
   }
@@ -75,6 +105,295 @@ function checkCategories() {
       `\nTotal uncategorized sessions: ${uncategorizedSessions.length}`
     );
   }
+
+  // A session listed under several categories only counts towards the first
+  const duplicatedSessions = Object.keys(categories)
+    .filter((sessionName) => categories[sessionName].length > 1)
+    .sort();
+  if (duplicatedSessions.length > 0) {
+    console.log(
+      "\nSession names in more than one category (first one is used):"
+    );
+    console.log("=====================================");
+    duplicatedSessions.forEach((sessionName) => {
+      console.log(`- ${sessionName}: ${categories[sessionName].join(", ")}`);
+    });
+  }
+}
+
+function describeCategoryRule(rule) {
+  // Regex patterns already carry their /slashes/ and flags
+  return rule.type === "regex"
+    ? `regex ${rule.pattern}`
+    : `${rule.type} "${rule.pattern}"`;
+}
+
+function explainCategory(sessionName) {
+  // Show which categories.json rule decides the category of a session
+  const matches = getCategoryMatches(sessionName, loadCategories());
+
+  if (matches.length === 0) {
+    console.log(
+      `"${sessionName}" is uncategorized: no rule in categories.json matches it.`
+    );
+    return;
+  }
+
+  console.log(`"${sessionName}" -> ${matches[0].path.join(" > ")}`);
+  console.log(`Matched by: ${describeCategoryRule(matches[0])}`);
+
+  if (matches.length > 1) {
+    console.log("\nAlso matched by (lower precedence, not used):");
+    matches.slice(1).forEach((rule) => {
+      console.log(
+        `- ${describeCategoryRule(rule)} -> ${rule.path.join(" > ")}`
+      );
+    });
+  }
+
+  console.log(
+    "\nPrecedence: exact name, then prefix (longest first), then glob, then regex; ties go to the rule listed first."
+  );
+}
+
+const CATEGORIES_PATH = path.join(
+  __dirname,
+  "json",
+  "settings",
+  "categories.json"
+);
+
+function backupFile(filePath) {
+  // Copy a file next to itself with a timestamp before it is rewritten
+  const timestamp = new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\..*$/, "");
+  const backupPath = `${filePath}.${timestamp}.bak`;
+  fs.copyFileSync(filePath, backupPath);
+  return backupPath;
+}
+
+function writeFileSafely(filePath, content) {
+  // Write a temporary file and rename it, so an interrupted write never
+  // leaves a truncated file behind
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+function addSessionToCategory(categoryTree, categoryPath, sessionName) {
+  // Walk the category path, creating missing categories on the way;
+  // sessions can only be listed in a category without subcategories
+  let node = categoryTree;
+  categoryPath.forEach((categoryName, index) => {
+    const isLeaf = index === categoryPath.length - 1;
+    const pathLabel = categoryPath.slice(0, index + 1).join(" > ");
+
+    if (node[categoryName] === undefined) {
+      node[categoryName] = isLeaf ? [] : {};
+    }
+    if (isLeaf && !Array.isArray(node[categoryName])) {
+      throw new Error(`"${pathLabel}" has subcategories, pick one of them`);
+    }
+    if (!isLeaf && Array.isArray(node[categoryName])) {
+      throw new Error(
+        `"${pathLabel}" lists sessions, so it cannot have subcategories`
+      );
+    }
+    node = node[categoryName];
+  });
+  node.push(sessionName);
+}
+
+function createPrompt() {
+  // Line-based prompt that also works with piped input: lines that arrive
+  // before a question is asked are queued instead of dropped
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+
+  rl.on("line", (line) => {
+    if (waiting.length > 0) {
+      waiting.shift()(line);
+    } else {
+      lines.push(line);
+    }
+  });
+  rl.on("close", () => {
+    closed = true;
+    waiting.splice(0).forEach((resolve) => resolve(null));
+  });
+
+  return {
+    ask(question) {
+      process.stdout.write(question);
+      if (lines.length > 0) {
+        return Promise.resolve(lines.shift());
+      }
+      if (closed) {
+        return Promise.resolve(null);
+      }
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+    close() {
+      rl.close();
+    },
+  };
+}
+
+async function categorizeInteractively() {
+  // Walk uncategorized sessions, most time first, and assign each a category
+  const sessionData = collectSessionData();
+  if (!sessionData) {
+    return;
+  }
+
+  let fileData = [{}];
+  if (fs.existsSync(CATEGORIES_PATH)) {
+    try {
+      fileData = JSON.parse(fs.readFileSync(CATEGORIES_PATH, "utf8"));
+    } catch (error) {
+      console.error("Error reading categories.json:", error.message);
+      return;
+    }
+  }
+  // Categories are in the first object of the array, as analyzer.js reads
+  // them; an empty array counts as no categories yet
+  if (Array.isArray(fileData) && fileData.length === 0) {
+    fileData = [{}];
+  }
+  const categoryTree = Array.isArray(fileData) ? fileData[0] : null;
+  if (
+    !categoryTree ||
+    typeof categoryTree !== "object" ||
+    Array.isArray(categoryTree)
+  ) {
+    console.error(
+      'Error reading categories.json: expected an array holding one object of categories, e.g. [{ "work": ["coding"] }]'
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const uncategorizedSessions = Object.keys(sessionData)
+    .filter((sessionName) => !getCategoryPath(sessionName, categoryTree))
+    .sort(
+      (a, b) =>
+        sessionData[b].totalSeconds - sessionData[a].totalSeconds ||
+        a.localeCompare(b)
+    );
+
+  if (uncategorizedSessions.length === 0) {
+    console.log("All session names have categories assigned.");
+    return;
+  }
+
+  const choices = flattenCategories(categoryTree).map(({ path: leafPath }) =>
+    leafPath.join(" > ")
+  );
+  const assignments = [];
+  const prompt = createPrompt();
+  let showChoices = true;
+
+  console.log(
+    `${uncategorizedSessions.length} uncategorized session(s). For each one, enter a category number, a new category path (e.g. work/meetings), nothing to skip, or q to stop.`
+  );
+
+  try {
+    for (const [index, sessionName] of uncategorizedSessions.entries()) {
+      const { totalSeconds, lastDate } = sessionData[sessionName];
+
+      console.log("");
+      if (showChoices) {
+        choices.forEach((choice, choiceIndex) => {
+          console.log(`  ${choiceIndex + 1}) ${choice}`);
+        });
+        showChoices = false;
+      }
+      console.log(
+        `[${index + 1}/${
+          uncategorizedSessions.length
+        }] "${sessionName}": ${formatTime(
+          totalSeconds
+        )} total, last seen ${lastDate}`
+      );
+
+      let assigned = false;
+      while (!assigned) {
+        const answer = await prompt.ask("Category: ");
+        const input = answer === null ? "q" : answer.trim();
+
+        if (input === "q") {
+          break;
+        }
+        if (input === "") {
+          assigned = true;
+          continue;
+        }
+
+        if (/^\d+$/.test(input) && !choices[Number(input) - 1]) {
+          console.log(`No category number ${input}`);
+          continue;
+        }
+
+        const categoryPath = /^\d+$/.test(input)
+          ? parseCategoryPath(choices[Number(input) - 1])
+          : parseCategoryPath(input);
+
+        try {
+          addSessionToCategory(categoryTree, categoryPath, sessionName);
+        } catch (error) {
+          console.log(`Cannot use that category: ${error.message}`);
+          continue;
+        }
+
+        const categoryLabel = categoryPath.join(" > ");
+        if (!choices.includes(categoryLabel)) {
+          choices.push(categoryLabel);
+          showChoices = true;
+        }
+        assignments.push({ sessionName, categoryLabel });
+        assigned = true;
+      }
+
+      if (!assigned) {
+        break;
+      }
+    }
+
+    if (assignments.length === 0) {
+      console.log("\nNo categories assigned; categories.json is unchanged.");
+      return;
+    }
+
+    console.log("\nAssignments:");
+    assignments.forEach(({ sessionName, categoryLabel }) => {
+      console.log(`- ${sessionName} -> ${categoryLabel}`);
+    });
+
+    const confirmation = await prompt.ask(
+      `Write ${assignments.length} assignment(s) to categories.json? [y/N] `
+    );
+    if (!confirmation || confirmation.trim().toLowerCase() !== "y") {
+      console.log("Not written; categories.json is unchanged.");
+      return;
+    }
+
+    if (fs.existsSync(CATEGORIES_PATH)) {
+      console.log(`Backup written to: ${backupFile(CATEGORIES_PATH)}`);
+    } else {
+      fs.mkdirSync(path.dirname(CATEGORIES_PATH), { recursive: true });
+    }
+    writeFileSafely(CATEGORIES_PATH, JSON.stringify(fileData, null, 2) + "\n");
+    console.log(`Updated: ${CATEGORIES_PATH}`);
+  } finally {
+    prompt.close();
+  }
 }
 
 function checkProjects() {
@@ -103,11 +422,16 @@ function checkProjects() {
       const fileDate = `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`;
 
       try {
-        const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        const data = readCleanData(filePath).entries;
 
         // Extract project data from each entry
         for (const entry of data) {
-          if (entry.project && entry.time) {
+          if (
+            entry &&
+            typeof entry.project === "string" &&
+            entry.project &&
+            entry.time
+          ) {
             const projectName = entry.project;
 
             // Initialize project data if not exists
@@ -120,12 +444,8 @@ function checkProjects() {
             }
 
             // Parse time and add to total
-            const timeMatch = entry.time.match(/(\d{2}):(\d{2}):(\d{2})/);
-            if (timeMatch) {
-              const hours = parseInt(timeMatch[1]);
-              const minutes = parseInt(timeMatch[2]);
-              const seconds = parseInt(timeMatch[3]);
-              const totalSeconds = hours * 3600 + minutes * 60 + seconds;
+            const totalSeconds = parseDuration(entry.time);
+            if (totalSeconds !== null) {
               projectData[projectName].totalSeconds += totalSeconds;
             }
 
@@ -190,8 +510,9 @@ function formatTime(totalSeconds) {
     .padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`;
 }
 
-function checkSessions() {
-  // Read all clean JSON files
+function collectSessionData() {
+  // Total time and first/last date per session across all clean files
+  // (null if the clean directory cannot be read)
   const cleanDir = path.join(__dirname, "json", "clean");
   let sessionData = {};
 
@@ -215,11 +536,16 @@ function checkSessions() {
       const fileDate = `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`;
 
       try {
-        const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        const data = readCleanData(filePath).entries;
 
         // Extract session data from each entry
         for (const entry of data) {
-          if (entry.session_name && entry.time) {
+          if (
+            entry &&
+            typeof entry.session_name === "string" &&
+            entry.session_name &&
+            entry.time
+          ) {
             const sessionName = entry.session_name;
 
             // Initialize session data if not exists
@@ -232,12 +558,8 @@ function checkSessions() {
             }
 
             // Parse time and add to total
-            const timeMatch = entry.time.match(/(\d{2}):(\d{2}):(\d{2})/);
-            if (timeMatch) {
-              const hours = parseInt(timeMatch[1]);
-              const minutes = parseInt(timeMatch[2]);
-              const seconds = parseInt(timeMatch[3]);
-              const totalSeconds = hours * 3600 + minutes * 60 + seconds;
+            const totalSeconds = parseDuration(entry.time);
+            if (totalSeconds !== null) {
               sessionData[sessionName].totalSeconds += totalSeconds;
             }
 
@@ -256,6 +578,15 @@ function checkSessions() {
     }
   } catch (error) {
     console.error("Error reading clean directory:", error.message);
+    return null;
+  }
+
+  return sessionData;
+}
+
+function checkSessions() {
+  const sessionData = collectSessionData();
+  if (!sessionData) {
     return;
   }
 
@@ -299,6 +630,7 @@ function checkSpecificSession(sessionName, startDate = null, endDate = null) {
   let totalEntries = 0;
   let earliestDate = null;
   let latestDate = null;
+  let skippedEntries = 0;
   const dailySummary = {};
 
   try {
@@ -322,7 +654,13 @@ function checkSpecificSession(sessionName, startDate = null, endDate = null) {
 
     jsonFiles.forEach((file) => {
       const filePath = path.join(cleanDir, file);
-      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      let data;
+      try {
+        data = readCleanData(filePath).entries;
+      } catch (error) {
+        console.error(`Error reading ${file}:`, error.message);
+        return;
+      }
 
       // Extract date from filename (assuming format: timew_clean_YYYYMMDD.json)
       const dateMatch = file.match(/timew_clean_(\d{8})\.json/);
@@ -330,7 +668,7 @@ function checkSpecificSession(sessionName, startDate = null, endDate = null) {
 
       // Filter entries for the specific session (case-insensitive)
       const sessionEntries = data.filter((entry) => {
-        if (!entry.session_name) return false;
+        if (!entry || typeof entry.session_name !== "string") return false;
         return entry.session_name.toLowerCase() === sessionName.toLowerCase();
       });
 
@@ -338,14 +676,11 @@ function checkSpecificSession(sessionName, startDate = null, endDate = null) {
         let dayTotal = 0;
 
         sessionEntries.forEach((entry) => {
-          if (entry.time) {
-            // Parse time format "HH:MM:SS"
-            const timeParts = entry.time.split(":");
-            const hours = parseInt(timeParts[0]);
-            const minutes = parseInt(timeParts[1]);
-            const seconds = parseInt(timeParts[2]);
-            const entrySeconds = hours * 3600 + minutes * 60 + seconds;
-
+          // Skip entries with a missing or malformed "HH:MM:SS" time
+          const entrySeconds = parseDuration(entry.time);
+          if (entrySeconds === null) {
+            skippedEntries++;
+          } else {
             totalSeconds += entrySeconds;
             dayTotal += entrySeconds;
             totalEntries++;
@@ -380,6 +715,12 @@ function checkSpecificSession(sessionName, startDate = null, endDate = null) {
       }
     });
 
+    if (skippedEntries > 0) {
+      console.warn(
+        `Warning: Skipped ${skippedEntries} entries with a missing or malformed time (run "node check.js validate" for details)`
+      );
+    }
+
     if (totalEntries === 0) {
       console.log(`No time entries found for session: "${sessionName}"`);
 
@@ -405,9 +746,19 @@ function checkSpecificSession(sessionName, startDate = null, endDate = null) {
         .filter((file) => file.endsWith(".json"));
       allFiles.forEach((file) => {
         const filePath = path.join(cleanDir, file);
-        const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        let data;
+        try {
+          data = readCleanData(filePath).entries;
+        } catch (error) {
+          console.error(`Error reading ${file}:`, error.message);
+          return;
+        }
         data.forEach((entry) => {
-          if (entry.session_name) {
+          if (
+            entry &&
+            typeof entry.session_name === "string" &&
+            entry.session_name
+          ) {
             allSessions.add(entry.session_name);
           }
         });
@@ -483,6 +834,7 @@ function checkSpecificProject(projectName) {
   let totalEntries = 0;
   let earliestDate = null;
   let latestDate = null;
+  let skippedEntries = 0;
   const dailySummary = {};
 
   try {
@@ -491,7 +843,13 @@ function checkSpecificProject(projectName) {
 
     jsonFiles.forEach((file) => {
       const filePath = path.join(cleanDir, file);
-      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      let data;
+      try {
+        data = readCleanData(filePath).entries;
+      } catch (error) {
+        console.error(`Error reading ${file}:`, error.message);
+        return;
+      }
 
       // Extract date from filename (assuming format: timew_clean_YYYYMMDD.json)
       const dateMatch = file.match(/timew_clean_(\d{8})\.json/);
@@ -499,7 +857,7 @@ function checkSpecificProject(projectName) {
 
       // Filter entries for the specific project (case-insensitive)
       const projectEntries = data.filter((entry) => {
-        if (!entry.project) return false;
+        if (!entry || typeof entry.project !== "string") return false;
         return entry.project.toLowerCase() === projectName.toLowerCase();
       });
 
@@ -507,14 +865,11 @@ function checkSpecificProject(projectName) {
         let dayTotal = 0;
 
         projectEntries.forEach((entry) => {
-          if (entry.time) {
-            // Parse time format "HH:MM:SS"
-            const timeParts = entry.time.split(":");
-            const hours = parseInt(timeParts[0]);
-            const minutes = parseInt(timeParts[1]);
-            const seconds = parseInt(timeParts[2]);
-            const entrySeconds = hours * 3600 + minutes * 60 + seconds;
-
+          // Skip entries with a missing or malformed "HH:MM:SS" time
+          const entrySeconds = parseDuration(entry.time);
+          if (entrySeconds === null) {
+            skippedEntries++;
+          } else {
             totalSeconds += entrySeconds;
             dayTotal += entrySeconds;
             totalEntries++;
@@ -549,6 +904,12 @@ function checkSpecificProject(projectName) {
       }
     });
 
+    if (skippedEntries > 0) {
+      console.warn(
+        `Warning: Skipped ${skippedEntries} entries with a missing or malformed time (run "node check.js validate" for details)`
+      );
+    }
+
     if (totalEntries === 0) {
       console.log(`No time entries found for project: "${projectName}"`);
       console.log("\nAvailable projects:");
@@ -557,9 +918,15 @@ function checkSpecificProject(projectName) {
       const allProjects = new Set();
       jsonFiles.forEach((file) => {
         const filePath = path.join(cleanDir, file);
-        const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        let data;
+        try {
+          data = readCleanData(filePath).entries;
+        } catch (error) {
+          console.error(`Error reading ${file}:`, error.message);
+          return;
+        }
         data.forEach((entry) => {
-          if (entry.project) {
+          if (entry && typeof entry.project === "string" && entry.project) {
             allProjects.add(entry.project);
           }
         });
@@ -614,17 +981,603 @@ function checkSpecificProject(projectName) {
   }
 }
 
+function writeDayType(date, dayType) {
+  // Store the day type in the clean file header (null clears it)
+  const filePath = getCleanFilePath(formatDate(date));
+
+  let cleanData;
+  if (fs.existsSync(filePath)) {
+    cleanData = readCleanData(filePath);
+  } else if (dayType === null) {
+    return false;
+  } else {
+    cleanData = createCleanData(formatDate(date));
+  }
+
+  writeCleanData(filePath, { ...cleanData, dayType });
+  return true;
+}
+
+function checkDayType(startDate, endDate, dayType = null) {
+  const calendar = loadCalendar();
+  const dates = getDatesBetween(parseDate(startDate), parseDate(endDate));
+
+  try {
+    if (dayType === null) {
+      console.log("Day types:");
+      console.log("=".repeat(40));
+      dates.forEach((date) => {
+        const storedDayType = getStoredDayType(date);
+        const defaultDayType = getDefaultDayType(date, calendar);
+        const display = storedDayType
+          ? storedDayType
+          : defaultDayType
+          ? `${defaultDayType} (calendar default)`
+          : "(not set)";
+        console.log(`${formatDate(date)}: ${display}`);
+      });
+      return;
+    }
+
+    dates.forEach((date) => {
+      if (dayType === "clear") {
+        const cleared = writeDayType(date, null);
+        const defaultDayType = getDefaultDayType(date, calendar);
+        console.log(
+          `${formatDate(date)}: ${
+            cleared ? "day type cleared" : "no clean file, nothing to clear"
+          }${defaultDayType ? ` (calendar default: ${defaultDayType})` : ""}`
+        );
+      } else {
+        const previousDayType = getStoredDayType(date);
+        writeDayType(date, dayType);
+        console.log(
+          `${formatDate(date)}: ${
+            previousDayType && previousDayType !== dayType
+              ? `${previousDayType} -> ${dayType}`
+              : dayType
+          }`
+        );
+      }
+    });
+  } catch (error) {
+    console.error("Error updating day type:", error.message);
+  }
+}
+
+function listCleanFiles(startDate = null, endDate = null) {
+  // Clean filenames in date order, limited to the date range if provided
+  // (null if the clean directory cannot be read)
+  const cleanDir = path.join(__dirname, "json", "clean");
+  let jsonFiles;
+
+  try {
+    jsonFiles = fs
+      .readdirSync(cleanDir)
+      .filter((file) => file.endsWith(".json"))
+      .sort();
+  } catch (error) {
+    console.error("Error reading clean directory:", error.message);
+    return null;
+  }
+
+  // Filter files by date range if provided
+  if (startDate || endDate) {
+    jsonFiles = jsonFiles.filter((file) => {
+      const fileDate = getDateFromCleanFilename(file);
+      if (!fileDate) return false;
+
+      if (startDate && fileDate < startDate) return false;
+      if (endDate && fileDate > endDate) return false;
+
+      return true;
+    });
+  }
+
+  return jsonFiles;
+}
+
+function validateCleanFiles(startDate = null, endDate = null) {
+  // Returns true when no file has errors
+  const cleanDir = path.join(__dirname, "json", "clean");
+  const jsonFiles = listCleanFiles(startDate, endDate);
+
+  if (!jsonFiles) {
+    return false;
+  }
+
+  let errorCount = 0;
+  let warningCount = 0;
+  let invalidFiles = 0;
+
+  jsonFiles.forEach((file) => {
+    const filePath = path.join(cleanDir, file);
+    let problems;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      problems = validateCleanData(data, file);
+    } catch (error) {
+      problems = [
+        { severity: "error", location: "file", reason: error.message },
+      ];
+    }
+
+    if (problems.length === 0) {
+      return;
+    }
+
+    const fileErrors = problems.filter(
+      (problem) => problem.severity === "error"
+    ).length;
+    errorCount += fileErrors;
+    warningCount += problems.length - fileErrors;
+    if (fileErrors > 0) {
+      invalidFiles++;
+    }
+
+    console.log(`${file}:`);
+    problems.forEach(({ severity, location, reason }) => {
+      console.log(`  [${severity}] ${location}: ${reason}`);
+    });
+  });
+
+  console.log("=".repeat(60));
+  console.log(
+    `Checked ${jsonFiles.length} file(s): ${invalidFiles} invalid, ${errorCount} error(s), ${warningCount} warning(s)`
+  );
+
+  return errorCount === 0;
+}
+
+function describeEntry(entry, index) {
+  // "entry 3 (coding 09:00:00-10:00:00)"
+  return `entry ${index + 1} (${entry.session_name} ${entry.start}-${
+    entry.end
+  })`;
+}
+
+function withInterval(entry, start, end) {
+  // Copy of an entry moved to a new interval, with its time to match
+  return {
+    ...entry,
+    start: formatTime(start),
+    end: formatTime(end),
+    time: formatTime(end - start),
+  };
+}
+
+function trimOverlaps(entries) {
+  // The entry that starts first keeps its time: a later entry starts where
+  // the time before it is covered, and is dropped if it is covered entirely
+  const result = entries.slice();
+  const removed = new Set();
+  let coveredUntil = 0;
+
+  getEntryIntervals(entries).forEach(({ index, start, end }) => {
+    if (end <= coveredUntil) {
+      removed.add(index);
+      return;
+    }
+    if (start < coveredUntil) {
+      result[index] = withInterval(entries[index], coveredUntil, end);
+    }
+    coveredUntil = end;
+  });
+
+  return result.filter((entry, index) => !removed.has(index));
+}
+
+function mergeOverlaps(entries) {
+  // Overlapping entries of the same session become one entry spanning both,
+  // keeping the fields of the one that starts first and all tags;
+  // overlaps between different sessions are left for trimming or editing
+  const result = entries.slice();
+  const removed = new Set();
+  const spans = {};
+
+  getEntryIntervals(entries).forEach(({ index, start, end }) => {
+    const sessionName = entries[index].session_name;
+    const span = spans[sessionName];
+
+    if (!span || start >= span.end) {
+      spans[sessionName] = { index, start, end };
+      return;
+    }
+
+    span.end = Math.max(span.end, end);
+    const tags = Array.from(
+      new Set([
+        ...(result[span.index].tags || []),
+        ...(entries[index].tags || []),
+      ])
+    );
+    result[span.index] = {
+      ...withInterval(result[span.index], span.start, span.end),
+      ...(tags.length > 0 && { tags }),
+    };
+    removed.add(index);
+  });
+
+  return result.filter((entry, index) => !removed.has(index));
+}
+
+function checkOverlaps(startDate = null, endDate = null, fixPolicy = null) {
+  // Report overlapping entries per clean file; with a fix policy, rewrite
+  // each affected file after backing it up. Returns true when none are left
+  const cleanDir = path.join(__dirname, "json", "clean");
+  const jsonFiles = listCleanFiles(startDate, endDate);
+
+  if (!jsonFiles) {
+    return false;
+  }
+
+  let overlapCount = 0;
+  let affectedFiles = 0;
+  let remainingCount = 0;
+
+  jsonFiles.forEach((file) => {
+    const filePath = path.join(cleanDir, file);
+    let cleanData;
+
+    try {
+      cleanData = readCleanData(filePath);
+    } catch (error) {
+      console.log(`${file}: ${error.message}`);
+      return;
+    }
+
+    const entries = cleanData.entries;
+    const overlaps = findOverlaps(entries);
+    if (overlaps.length === 0) {
+      return;
+    }
+
+    overlapCount += overlaps.length;
+    affectedFiles++;
+
+    console.log(`${file}:`);
+    overlaps.forEach(({ first, second, seconds }) => {
+      console.log(
+        `  ${describeEntry(entries[first], first)} overlaps ${describeEntry(
+          entries[second],
+          second
+        )} by ${formatTime(seconds)}`
+      );
+    });
+
+    if (!fixPolicy) {
+      remainingCount += overlaps.length;
+      return;
+    }
+
+    const fixedEntries =
+      fixPolicy === "trim" ? trimOverlaps(entries) : mergeOverlaps(entries);
+    const backupPath = backupFile(filePath);
+    writeFileSafely(
+      filePath,
+      JSON.stringify(
+        {
+          ...cleanData,
+          schemaVersion: CLEAN_SCHEMA_VERSION,
+          entries: fixedEntries,
+        },
+        null,
+        2
+      )
+    );
+
+    const remaining = findOverlaps(fixedEntries).length;
+    remainingCount += remaining;
+    console.log(
+      `  Fixed (${fixPolicy}): ${entries.length} -> ${
+        fixedEntries.length
+      } entries${
+        remaining > 0 ? `, ${remaining} overlap(s) left` : ""
+      }; backup at ${path.basename(backupPath)}`
+    );
+  });
+
+  console.log("=".repeat(60));
+  console.log(
+    `Checked ${
+      jsonFiles.length
+    } file(s): ${overlapCount} overlap(s) in ${affectedFiles} file(s)${
+      fixPolicy ? `, ${remainingCount} left after ${fixPolicy}` : ""
+    }`
+  );
+
+  return remainingCount === 0;
+}
+
+function parseDayWindow(windowStr) {
+  // "HH:MM-HH:MM" to [start, end] seconds since midnight (null if malformed)
+  const windowMatch =
+    typeof windowStr === "string" &&
+    windowStr.match(/^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/);
+  if (!windowMatch) {
+    return null;
+  }
+
+  const start = parseClockTime(`${windowMatch[1]}:${windowMatch[2]}:00`);
+  const end = parseClockTime(`${windowMatch[3]}:${windowMatch[4]}:00`);
+  if (start === null || end === null || end <= start) {
+    return null;
+  }
+  return [start, end];
+}
+
+function findGaps(entries, windowStart, windowEnd) {
+  // Merge the entries' intervals inside the window and return the tracked
+  // seconds plus the untracked stretches between them, in order
+  const intervals = getEntryIntervals(entries)
+    .map(({ start, end }) => [
+      Math.max(start, windowStart),
+      Math.min(end, windowEnd),
+    ])
+    .filter(([start, end]) => end > start);
+
+  const gaps = [];
+  let trackedSeconds = 0;
+  let coveredUntil = windowStart;
+
+  intervals.forEach(([start, end]) => {
+    if (start > coveredUntil) {
+      gaps.push({ start: coveredUntil, end: start });
+    }
+    if (end > coveredUntil) {
+      trackedSeconds += end - Math.max(start, coveredUntil);
+      coveredUntil = end;
+    }
+  });
+  if (coveredUntil < windowEnd) {
+    gaps.push({ start: coveredUntil, end: windowEnd });
+  }
+
+  return { trackedSeconds, gaps };
+}
+
+function checkGaps(startDate, endDate, windowStart, windowEnd, minGapSeconds) {
+  // List untracked gaps of at least minGapSeconds inside the day window,
+  // with the share of the window that is tracked per day
+  const dates = getDatesBetween(parseDate(startDate), parseDate(endDate));
+  const windowSeconds = windowEnd - windowStart;
+  const windowLabel = `${formatTime(windowStart).substring(0, 5)}-${formatTime(
+    windowEnd
+  ).substring(0, 5)}`;
+
+  let daysWithData = 0;
+  let totalTrackedSeconds = 0;
+  let totalGapCount = 0;
+  let totalGapSeconds = 0;
+
+  console.log(
+    `Untracked gaps of ${formatTime(
+      minGapSeconds
+    )} or more within ${windowLabel}:`
+  );
+  console.log("=".repeat(60));
+
+  dates.forEach((date) => {
+    const filePath = getCleanFilePath(formatDate(date));
+    const weekday = date.toLocaleDateString("en-US", {
+      weekday: "long",
+      timeZone: "UTC",
+    });
+
+    if (!fs.existsSync(filePath)) {
+      console.log(`${formatDate(date)} (${weekday}): no clean file`);
+      return;
+    }
+
+    let entries;
+    try {
+      entries = readCleanData(filePath).entries;
+    } catch (error) {
+      console.log(`${formatDate(date)} (${weekday}): ${error.message}`);
+      return;
+    }
+
+    const { trackedSeconds, gaps } = findGaps(entries, windowStart, windowEnd);
+    const reportedGaps = gaps.filter(
+      (gap) => gap.end - gap.start >= minGapSeconds
+    );
+    const coverage = ((trackedSeconds / windowSeconds) * 100).toFixed(1);
+
+    daysWithData++;
+    totalTrackedSeconds += trackedSeconds;
+    totalGapCount += reportedGaps.length;
+
+    console.log(
+      `${formatDate(date)} (${weekday}): ${coverage}% tracked (${formatTime(
+        trackedSeconds
+      )} tracked, ${formatTime(windowSeconds - trackedSeconds)} untracked), ${
+        reportedGaps.length
+      } gap(s)`
+    );
+    reportedGaps.forEach((gap) => {
+      totalGapSeconds += gap.end - gap.start;
+      console.log(
+        `  ${formatTime(gap.start)} - ${formatTime(gap.end)}  ${formatTime(
+          gap.end - gap.start
+        )}`
+      );
+    });
+  });
+
+  console.log("=".repeat(60));
+  if (daysWithData === 0) {
+    console.log("No clean files found for the specified date(s).");
+    return;
+  }
+  console.log(
+    `${daysWithData} of ${dates.length} day(s) with data: ${(
+      (totalTrackedSeconds / (windowSeconds * daysWithData)) *
+      100
+    ).toFixed(
+      1
+    )}% tracked within ${windowLabel}, ${totalGapCount} gap(s) totalling ${formatTime(
+      totalGapSeconds
+    )}`
+  );
+}
+
 // Check command line arguments
-const args = process.argv.slice(2);
+const { timezone: cliTimezone, args } = extractTimezoneArg(
+  process.argv.slice(2)
+);
+
+// Relative dates like "today" are resolved in this timezone, resolved on
+// first use so commands without dates never warn about the default
+let timezone = null;
+function getTimezone() {
+  if (!timezone) {
+    try {
+      timezone = resolveTimezone(cliTimezone);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+  return timezone;
+}
+
+// Commands that work on local dates always need it
+if (["validate", "overlaps", "gaps", "daytype"].includes(args[0])) {
+  getTimezone();
+}
+
+// Dates may be YYYY-MM-DD, a month (YYYY-MM) or a name like "this-week"
+const isDateArg = (arg) => resolveDateExpression(arg, getTimezone()) !== null;
+const DATE_HELP =
+  "Dates can be YYYY-MM-DD, YYYY-MM, today, yesterday, this-week, last-week, this-month, last-month or last-N-days";
+
 if (args.length === 0) {
   console.log(
-    "Usage: node check.js [categories|projects [project-name]|sessions [session-name] [date|start-date - end-date]]"
+    "Usage: node check.js [categories [--explain session-name|--interactive]|projects [project-name]|sessions [session-name] [date|start-date - end-date]|daytype date [- end-date] [dayType|clear]|validate [date [- end-date]]|gaps date [- end-date] [--window HH:MM-HH:MM] [--min minutes]|overlaps [date [- end-date]] [--fix trim|merge]] [--tz <zone>]"
   );
   process.exit(1);
 }
 
 if (args[0] === "categories") {
-  checkCategories();
+  if (args[1] === "--explain") {
+    // node check.js categories --explain <session-name>
+    if (args.length < 3) {
+      console.error("Usage: node check.js categories --explain <session-name>");
+      process.exit(1);
+    }
+    explainCategory(args.slice(2).join(" "));
+  } else if (args[1] === "--interactive") {
+    categorizeInteractively().catch((error) => {
+      console.error("Error categorizing sessions:", error.message);
+      process.exitCode = 1;
+    });
+  } else {
+    checkCategories();
+  }
+} else if (args[0] === "validate") {
+  // node check.js validate [<date> [- <date>]]
+  const dateRange =
+    args.length > 1 ? resolveDateArgs(args.slice(1), getTimezone()) : null;
+
+  if (args.length > 1 && !dateRange) {
+    console.error("Usage: node check.js validate [<date> [- <date>]]");
+    console.error(DATE_HELP);
+    process.exit(1);
+  }
+
+  if (
+    !validateCleanFiles(
+      dateRange ? dateRange.startDate : null,
+      dateRange ? dateRange.endDate : null
+    )
+  ) {
+    process.exit(1);
+  }
+} else if (args[0] === "overlaps") {
+  // node check.js overlaps [<date> [- <date>]] [--fix trim|merge]
+  const fixIndex = args.indexOf("--fix");
+  const fixPolicy = fixIndex !== -1 ? args[fixIndex + 1] : null;
+  const dateArgs = args.filter(
+    (arg, index) => index > 0 && index !== fixIndex && index !== fixIndex + 1
+  );
+  const dateRange =
+    dateArgs.length > 0 ? resolveDateArgs(dateArgs, getTimezone()) : null;
+
+  if (
+    (dateArgs.length > 0 && !dateRange) ||
+    (fixIndex !== -1 && !["trim", "merge"].includes(fixPolicy))
+  ) {
+    console.error(
+      "Usage: node check.js overlaps [<date> [- <date>]] [--fix trim|merge]"
+    );
+    console.error(DATE_HELP);
+    process.exit(1);
+  }
+
+  if (
+    !checkOverlaps(
+      dateRange ? dateRange.startDate : null,
+      dateRange ? dateRange.endDate : null,
+      fixPolicy
+    )
+  ) {
+    process.exit(1);
+  }
+} else if (args[0] === "gaps") {
+  // node check.js gaps <date> [- <date>] [--window HH:MM-HH:MM] [--min <minutes>]
+  const settings = loadSettings();
+  const gapArgs = [];
+  let windowArg = settings.gapWindow || "00:00-24:00";
+  let minArg = settings.gapThreshold !== undefined ? settings.gapThreshold : 15;
+
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === "--window") {
+      windowArg = args[++i];
+    } else if (args[i] === "--min") {
+      minArg = args[++i];
+    } else {
+      gapArgs.push(args[i]);
+    }
+  }
+
+  const dateRange = resolveDateArgs(gapArgs, getTimezone());
+  const dayWindow = parseDayWindow(windowArg);
+  const minGapMinutes = Number(minArg);
+
+  if (!dateRange || !dayWindow || !(minGapMinutes >= 0)) {
+    console.error(
+      "Usage: node check.js gaps <date> [- <date>] [--window HH:MM-HH:MM] [--min <minutes>]"
+    );
+    console.error(DATE_HELP);
+    process.exit(1);
+  }
+
+  checkGaps(
+    dateRange.startDate,
+    dateRange.endDate,
+    dayWindow[0],
+    dayWindow[1],
+    Math.round(minGapMinutes * 60)
+  );
+} else if (args[0] === "daytype") {
+  // node check.js daytype <date> [- <date>] [<dayType>|clear]
+  const dateArgCount = args[2] === "-" ? 3 : 1;
+  const dateRange = resolveDateArgs(
+    args.slice(1, 1 + dateArgCount),
+    getTimezone()
+  );
+  const dayTypeArgs = args.slice(1 + dateArgCount);
+
+  if (!dateRange || dayTypeArgs.length > 1) {
+    console.error(
+      "Usage: node check.js daytype <date> [- <date>] [<dayType>|clear]"
+    );
+    console.error(DATE_HELP);
+    process.exit(1);
+  }
+
+  checkDayType(dateRange.startDate, dateRange.endDate, dayTypeArgs[0] || null);
 } else if (args[0] === "projects") {
   if (args.length === 1) {
     // No project name specified, show all projects
@@ -645,13 +1598,13 @@ if (args[0] === "categories") {
     let endDate = null;
 
     if (args.length === 3) {
-      // Single date: node check.js sessions "session-name" 2025-11-05
-      const singleDate = args[2];
-      if (/^\d{4}-\d{2}-\d{2}$/.test(singleDate)) {
-        startDate = singleDate;
-        endDate = singleDate;
+      // Single date or named period: node check.js sessions "session-name" 2025-11-05
+      const dateRange = resolveDateExpression(args[2], getTimezone());
+      if (dateRange) {
+        startDate = dateRange.startDate;
+        endDate = dateRange.endDate;
       } else {
-        console.error("Invalid date format. Use YYYY-MM-DD");
+        console.error(`Invalid date "${args[2]}". ${DATE_HELP}`);
         process.exit(1);
       }
     } else if (args.length === 5 && args[2] === "-") {
@@ -659,10 +1612,7 @@ if (args[0] === "categories") {
       const start = args[1];
       const end = args[4];
 
-      if (
-        /^\d{4}-\d{2}-\d{2}$/.test(start) &&
-        /^\d{4}-\d{2}-\d{2}$/.test(end)
-      ) {
+      if (isDateArg(start) && isDateArg(end)) {
         // If we have date range, extract session name differently
         console.error(
           'Invalid usage for date range. Use: node check.js sessions "session-name" start-date - end-date'
@@ -672,23 +1622,22 @@ if (args[0] === "categories") {
 
       // Actually handle this case correctly - session name then date range
       sessionName = args[1];
-      startDate = args[2];
-      endDate = args[4];
-
-      if (
-        !/^\d{4}-\d{2}-\d{2}$/.test(startDate) ||
-        !/^\d{4}-\d{2}-\d{2}$/.test(endDate)
-      ) {
-        console.error("Invalid date format. Use YYYY-MM-DD");
+      const dateRange = resolveDateArgs([args[2], "-", args[4]], getTimezone());
+
+      if (!dateRange) {
+        console.error(`Invalid date format. ${DATE_HELP}`);
         process.exit(1);
       }
+
+      startDate = dateRange.startDate;
+      endDate = dateRange.endDate;
     } else if (args.length > 2) {
       // Handle case where session name might have spaces
       // Look for date patterns in the arguments
       let dateStartIndex = -1;
 
       for (let i = 2; i < args.length; i++) {
-        if (/^\d{4}-\d{2}-\d{2}$/.test(args[i])) {
+        if (isDateArg(args[i])) {
           dateStartIndex = i;
           break;
         }
@@ -703,21 +1652,31 @@ if (args[0] === "categories") {
           args[dateStartIndex + 1] === "-"
         ) {
           // Date range format
-          startDate = args[dateStartIndex];
-          endDate = args[dateStartIndex + 2];
+          const dateRange = resolveDateArgs(
+            args.slice(dateStartIndex, dateStartIndex + 3),
+            getTimezone()
+          );
 
-          if (!/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
-            console.error("Invalid end date format. Use YYYY-MM-DD");
+          if (!dateRange || dateStartIndex + 3 !== args.length) {
+            console.error(`Invalid end date format. ${DATE_HELP}`);
             process.exit(1);
           }
+
+          startDate = dateRange.startDate;
+          endDate = dateRange.endDate;
         } else if (dateStartIndex === args.length - 1) {
-          // Single date format
-          startDate = args[dateStartIndex];
-          endDate = args[dateStartIndex];
+          // Single date or named period
+          const dateRange = resolveDateExpression(
+            args[dateStartIndex],
+            getTimezone()
+          );
+          startDate = dateRange.startDate;
+          endDate = dateRange.endDate;
         } else {
           console.error(
-            'Invalid date format. Use: "session-name" YYYY-MM-DD or "session-name" YYYY-MM-DD - YYYY-MM-DD'
+            'Invalid date format. Use: "session-name" <date> or "session-name" <date> - <date>'
           );
+          console.error(DATE_HELP);
           process.exit(1);
         }
       } else {
@@ -730,7 +1689,7 @@ if (args[0] === "categories") {
   }
 } else {
   console.log(
-    "Usage: node check.js [categories|projects [project-name]|sessions [session-name] [date|start-date - end-date]]"
+    "Usage: node check.js [categories [--explain session-name|--interactive]|projects [project-name]|sessions [session-name] [date|start-date - end-date]|daytype date [- end-date] [dayType|clear]|validate [date [- end-date]]|gaps date [- end-date] [--window HH:MM-HH:MM] [--min minutes]|overlaps [date [- end-date]] [--fix trim|merge]] [--tz <zone>]"
   );
   process.exit(1);
 }
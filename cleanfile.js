@@ -0,0 +1,360 @@
+const fs = require("fs");
+const path = require("path");
+
+// Version 1 is the first object layout; legacy bare arrays count as version 0
+const CLEAN_SCHEMA_VERSION = 1;
+
+/**
+ * Path of the clean file for a date in format YYYYMMDD or YYYY-MM-DD
+ */
+function getCleanFilePath(dateStr) {
+  return path.join(
+    __dirname,
+    "json",
+    "clean",
+    `timew_clean_${dateStr.replace(/-/g, "")}.json`
+  );
+}
+
+/**
+ * Extract the YYYY-MM-DD date from a clean filename (null if it has none)
+ */
+function getDateFromCleanFilename(filename) {
+  const dateMatch = path
+    .basename(filename)
+    .match(/timew_clean_(\d{4})(\d{2})(\d{2})\.json/);
+  return dateMatch ? `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}` : null;
+}
+
+/**
+ * Create clean data in the current schema
+ */
+function createCleanData(date, fields = {}) {
+  return {
+    schemaVersion: CLEAN_SCHEMA_VERSION,
+    date,
+    timezone: fields.timezone || null,
+    dayType: fields.dayType || null,
+    source: fields.source || null,
+    entries: fields.entries || [],
+  };
+}
+
+/**
+ * Normalize parsed clean file content of either layout to the current schema
+ * Legacy files are a bare array with an optional trailing { dayType } element
+ */
+function normalizeCleanData(data, filename = "") {
+  if (Array.isArray(data)) {
+    const dayTypeElement = data.find((element) => element && element.dayType);
+    return {
+      ...createCleanData(getDateFromCleanFilename(filename), {
+        dayType: dayTypeElement ? dayTypeElement.dayType : null,
+        entries: data.filter((element) => !(element && element.dayType)),
+      }),
+      schemaVersion: 0,
+    };
+  }
+
+  if (!data || typeof data !== "object" || !Array.isArray(data.entries)) {
+    throw new Error("Unrecognized clean file layout");
+  }
+
+  return {
+    ...createCleanData(data.date || getDateFromCleanFilename(filename), data),
+    schemaVersion: data.schemaVersion,
+  };
+}
+
+/**
+ * Read a clean file of either layout
+ */
+function readCleanData(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return normalizeCleanData(data, filePath);
+}
+
+/**
+ * Write clean data in the current schema, creating json/clean if needed
+ */
+function writeCleanData(filePath, cleanData) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify(
+      { ...cleanData, schemaVersion: CLEAN_SCHEMA_VERSION },
+      null,
+      2
+    )
+  );
+}
+
+/**
+ * Parse a "HH:MM:SS" clock time to seconds since midnight (null if malformed)
+ * "24:00:00" is accepted as the end of a day
+ */
+function parseClockTime(timeStr) {
+  const timeMatch =
+    typeof timeStr === "string" && timeStr.match(/^(\d{2}):(\d{2}):(\d{2})$/);
+  if (!timeMatch) {
+    return null;
+  }
+
+  const [hours, minutes, seconds] = timeMatch.slice(1).map(Number);
+  if (minutes > 59 || seconds > 59) {
+    return null;
+  }
+
+  const totalSeconds = hours * 3600 + minutes * 60 + seconds;
+  return totalSeconds <= 24 * 3600 ? totalSeconds : null;
+}
+
+/**
+ * Parse a "HH:MM:SS" duration to seconds (null if malformed)
+ */
+function parseDuration(timeStr) {
+  const timeMatch =
+    typeof timeStr === "string" && timeStr.match(/^(\d{2,}):(\d{2}):(\d{2})$/);
+  if (!timeMatch) {
+    return null;
+  }
+
+  const [hours, minutes, seconds] = timeMatch.slice(1).map(Number);
+  if (minutes > 59 || seconds > 59) {
+    return null;
+  }
+
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Start and end in seconds of the entries with a valid interval, ordered by
+ * start, as { index, start, end } with the entry's index
+ */
+function getEntryIntervals(entries) {
+  return entries
+    .map((entry, index) => ({
+      index,
+      start: entry ? parseClockTime(entry.start) : null,
+      end: entry ? parseClockTime(entry.end) : null,
+    }))
+    .filter(({ start, end }) => start !== null && end !== null && end > start)
+    .sort((a, b) => a.start - b.start || a.index - b.index);
+}
+
+/**
+ * Find pairs of entries whose start-end intervals overlap
+ * Returns { first, second, seconds } with entry indexes, first starting earlier
+ * Entries without a valid interval are ignored
+ */
+function findOverlaps(entries) {
+  const intervals = getEntryIntervals(entries);
+  const overlaps = [];
+  intervals.forEach((current, position) => {
+    for (const next of intervals.slice(position + 1)) {
+      if (next.start >= current.end) break;
+      overlaps.push({
+        first: current.index,
+        second: next.index,
+        seconds: Math.min(current.end, next.end) - next.start,
+      });
+    }
+  });
+
+  return overlaps;
+}
+
+/**
+ * Check parsed clean file content against the schema
+ * Returns problems as { severity: "error"|"warning", location, reason }
+ */
+function validateCleanData(data, filename = "") {
+  const problems = [];
+  const addProblem = (severity, location, reason) =>
+    problems.push({ severity, location, reason });
+
+  let cleanData;
+  try {
+    cleanData = normalizeCleanData(data, filename);
+  } catch (error) {
+    addProblem("error", "file", error.message);
+    return problems;
+  }
+
+  if (!Number.isInteger(cleanData.schemaVersion)) {
+    addProblem(
+      "error",
+      "file",
+      cleanData.schemaVersion === undefined
+        ? "missing schemaVersion, run formatter.js migrate"
+        : `schemaVersion must be an integer, got ${JSON.stringify(
+            cleanData.schemaVersion
+          )}`
+    );
+  } else if (cleanData.schemaVersion > CLEAN_SCHEMA_VERSION) {
+    addProblem(
+      "error",
+      "file",
+      `schemaVersion ${cleanData.schemaVersion} is newer than supported version ${CLEAN_SCHEMA_VERSION}`
+    );
+  } else if (cleanData.schemaVersion < CLEAN_SCHEMA_VERSION) {
+    addProblem("warning", "file", "legacy layout, run formatter.js migrate");
+  }
+
+  const filenameDate = getDateFromCleanFilename(filename);
+  if (filenameDate && cleanData.date !== filenameDate) {
+    addProblem(
+      "error",
+      "file",
+      `date "${cleanData.date}" does not match filename date ${filenameDate}`
+    );
+  }
+
+  if (cleanData.dayType !== null && typeof cleanData.dayType !== "string") {
+    addProblem("error", "file", "dayType must be a string");
+  }
+
+  const seenIntervals = {};
+
+  cleanData.entries.forEach((entry, index) => {
+    const location = `entry ${index + 1}`;
+
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      addProblem("error", location, "entry is not an object");
+      return;
+    }
+
+    if (typeof entry.session_name !== "string") {
+      addProblem("error", location, "missing session_name");
+    } else if (entry.session_name === "") {
+      addProblem(
+        "warning",
+        location,
+        'empty session_name (analyzer.js reports it as "(untagged)")'
+      );
+    }
+
+    if (entry.tags !== undefined && !Array.isArray(entry.tags)) {
+      addProblem("error", location, "tags must be an array");
+    }
+
+    const duration = parseDuration(entry.time);
+    if (entry.time === undefined) {
+      addProblem("error", location, "missing time");
+    } else if (duration === null) {
+      addProblem(
+        "error",
+        location,
+        `bad time "${entry.time}", expected HH:MM:SS`
+      );
+    }
+
+    const start = parseClockTime(entry.start);
+    const end = parseClockTime(entry.end);
+    if (entry.start === undefined) {
+      addProblem("error", location, "missing start");
+    } else if (start === null || start === 24 * 3600) {
+      addProblem(
+        "error",
+        location,
+        `bad start "${entry.start}", expected HH:MM:SS`
+      );
+    }
+    if (entry.end === undefined) {
+      addProblem("error", location, "missing end");
+    } else if (end === null) {
+      addProblem(
+        "error",
+        location,
+        `bad end "${entry.end}", expected HH:MM:SS`
+      );
+    }
+
+    if (start === null || end === null) {
+      return;
+    }
+
+    if (end < start) {
+      addProblem(
+        "error",
+        location,
+        `end ${entry.end} is before start ${entry.start}`
+      );
+    } else if (duration !== null && duration !== end - start) {
+      // Can legitimately differ by an hour on a daylight saving change
+      addProblem(
+        "warning",
+        location,
+        `time ${entry.time} does not match ${entry.start}-${entry.end}`
+      );
+    }
+
+    const intervalKey = `${entry.start}-${entry.end}`;
+    if (seenIntervals[intervalKey]) {
+      addProblem(
+        "error",
+        location,
+        `duplicate of entry ${seenIntervals[intervalKey]} (${intervalKey})`
+      );
+    } else {
+      seenIntervals[intervalKey] = index + 1;
+    }
+  });
+
+  // Overlapping intervals are counted twice; exact duplicates are errors above
+  findOverlaps(cleanData.entries).forEach(({ first, second }) => {
+    const firstEntry = cleanData.entries[first];
+    const secondEntry = cleanData.entries[second];
+    if (
+      firstEntry.start === secondEntry.start &&
+      firstEntry.end === secondEntry.end
+    ) {
+      return;
+    }
+    addProblem(
+      "warning",
+      `entry ${second + 1}`,
+      `overlaps entry ${first + 1} (${firstEntry.start}-${
+        firstEntry.end
+      }), run "node check.js overlaps"`
+    );
+  });
+
+  return problems;
+}
+
+/**
+ * Upgrade a clean file to the current schema; returns true if it changed
+ */
+function migrateCleanFile(filePath) {
+  const cleanData = readCleanData(filePath);
+
+  if (cleanData.schemaVersion === CLEAN_SCHEMA_VERSION) {
+    return false;
+  }
+
+  if (cleanData.schemaVersion > CLEAN_SCHEMA_VERSION) {
+    throw new Error(
+      `Schema version ${cleanData.schemaVersion} is newer than supported version ${CLEAN_SCHEMA_VERSION}`
+    );
+  }
+
+  writeCleanData(filePath, cleanData);
+  return true;
+}
+
+module.exports = {
+  CLEAN_SCHEMA_VERSION,
+  getCleanFilePath,
+  getDateFromCleanFilename,
+  createCleanData,
+  normalizeCleanData,
+  readCleanData,
+  writeCleanData,
+  migrateCleanFile,
+  parseClockTime,
+  parseDuration,
+  getEntryIntervals,
+  findOverlaps,
+  validateCleanData,
+};
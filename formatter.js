@@ -1,10 +1,73 @@
 const fs = require("fs");
 const path = require("path");
+const {
+  extractTimezoneArg,
+  resolveTimezone,
+  formatLocalTime,
+  formatLocalDate,
+  getLocalParts,
+  localToDate,
+} = require("./timezone");
+const {
+  createCleanData,
+  readCleanData,
+  writeCleanData,
+  migrateCleanFile,
+  parseClockTime,
+} = require("./cleanfile");
 
-const filename = process.argv[2];
+const { timezone: cliTimezone, args: cliArgs } = extractTimezoneArg(
+  process.argv.slice(2)
+);
 
-if (!filename) {
+// "--close-open" closes running intervals at now, "--close-open=<cutoff>"
+// at a local "HH:MM[:SS]" on their start day or a "YYYY-MM-DDTHH:MM[:SS]"
+// "--merge" merges into existing clean files instead of rewriting them
+let closeOpen = null;
+let mergeMode = false;
+const args = cliArgs.filter((arg) => {
+  if (arg === "--merge") {
+    mergeMode = true;
+    return false;
+  } else if (arg === "--close-open") {
+    closeOpen = "now";
+    return false;
+  } else if (arg.startsWith("--close-open=")) {
+    closeOpen = arg.substring("--close-open=".length);
+    return false;
+  }
+  return true;
+});
+
+const CUTOFF_TIME_PATTERN = /^(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const CUTOFF_DATETIME_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+if (
+  closeOpen &&
+  closeOpen !== "now" &&
+  !CUTOFF_TIME_PATTERN.test(closeOpen) &&
+  !CUTOFF_DATETIME_PATTERN.test(closeOpen)
+) {
+  console.log(
+    "Invalid --close-open cutoff. Use now, HH:MM[:SS] or YYYY-MM-DDTHH:MM[:SS]"
+  );
+  process.exit(1);
+}
+
+if (args.length === 0) {
   console.log("Please provide a filename as an argument.");
+  console.log(
+    "Usage: node formatter.js <raw-filename> | - | all [YYYY-MM-DD - YYYY-MM-DD] [stale] [--close-open[=<cutoff>]] [--merge] | migrate"
+  );
+  process.exit(1);
+}
+
+let timezone;
+try {
+  timezone = resolveTimezone(cliTimezone);
+} catch (error) {
+  console.log(error.message);
   process.exit(1);
 }
 
@@ -21,12 +84,8 @@ function parseTimeString(timeStr) {
 }
 
 function formatTime(date) {
-  // Convert to Taiwan timezone (UTC+8) and format as "hh:mm:ss"
-  const taiwanDate = new Date(date.getTime() + 8 * 60 * 60 * 1000); // Add 8 hours for UTC+8
-  const hours = taiwanDate.getUTCHours().toString().padStart(2, "0");
-  const minutes = taiwanDate.getUTCMinutes().toString().padStart(2, "0");
-  const seconds = taiwanDate.getUTCSeconds().toString().padStart(2, "0");
-  return `${hours}:${minutes}:${seconds}`;
+  // Convert to the configured timezone and format as "hh:mm:ss"
+  return formatLocalTime(date, timezone);
 }
 
 function calculateDuration(startDate, endDate) {
@@ -40,51 +99,378 @@ function calculateDuration(startDate, endDate) {
     .padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`;
 }
 
-try {
-  // Look for file in json/raw folder
-  const filePath = path.join(__dirname, "json", "raw", filename);
-  const fileContent = fs.readFileSync(filePath, "utf8");
-  const jsonData = JSON.parse(fileContent);
+let projectRules = null;
+
+function loadProjectRules() {
+  // Rules are checked in file order; the first match decides the project
+  // [{ "prefix": "proj:" }, { "tag": "clientA", "project": "Client A" },
+  //  { "session": "^write-", "project": "Blog" }]
+  const rulesPath = path.join(__dirname, "json", "settings", "projects.json");
+
+  if (!fs.existsSync(rulesPath)) {
+    return [];
+  }
+
+  try {
+    const rules = JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+    return rules.filter((rule) => {
+      if (rule.session) {
+        try {
+          rule.sessionPattern = new RegExp(rule.session);
+        } catch (error) {
+          console.log(
+            `Skipping project rule "${rule.session}":`,
+            error.message
+          );
+          return false;
+        }
+      }
+      return true;
+    });
+  } catch (error) {
+    console.log("Error reading projects file:", error.message);
+    return [];
+  }
+}
+
+function assignProject(sessionName, tags, rules) {
+  for (const rule of rules) {
+    if (rule.tag && tags.includes(rule.tag)) {
+      return rule.project;
+    }
+
+    if (rule.prefix) {
+      const prefixedTag = tags.find(
+        (tag) => tag.startsWith(rule.prefix) && tag.length > rule.prefix.length
+      );
+      if (prefixedTag) {
+        // Without an explicit project, the rest of the tag names it
+        return rule.project || prefixedTag.substring(rule.prefix.length);
+      }
+    }
+
+    if (rule.sessionPattern && rule.sessionPattern.test(sessionName)) {
+      return rule.project;
+    }
+  }
+
+  return null;
+}
+
+function getOpenIntervalEnd(startDate) {
+  // Where a still-running interval is closed, based on --close-open
+  if (closeOpen === "now") {
+    return new Date();
+  }
+
+  const timeMatch = closeOpen.match(CUTOFF_TIME_PATTERN);
+  if (timeMatch) {
+    const { year, month, day } = getLocalParts(startDate, timezone);
+    return localToDate(
+      year,
+      month,
+      day,
+      parseInt(timeMatch[1]),
+      parseInt(timeMatch[2]),
+      parseInt(timeMatch[3] || "0"),
+      timezone
+    );
+  }
+
+  const dateTimeMatch = closeOpen.match(CUTOFF_DATETIME_PATTERN);
+  return localToDate(
+    parseInt(dateTimeMatch[1]),
+    parseInt(dateTimeMatch[2]),
+    parseInt(dateTimeMatch[3]),
+    parseInt(dateTimeMatch[4]),
+    parseInt(dateTimeMatch[5]),
+    parseInt(dateTimeMatch[6] || "0"),
+    timezone
+  );
+}
+
+function getDateKey(date) {
+  // Local calendar date in "YYYYMMDD" format, used in clean filenames
+  return formatLocalDate(date, timezone).replace(/-/g, "");
+}
+
+function getNextMidnight(date) {
+  // First instant of the next local day; where DST skips midnight, the day
+  // starts when the clocks jump (e.g. at 01:00)
+  const { year, month, day } = getLocalParts(date, timezone);
+  const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+  const midnight = localToDate(
+    nextDay.getUTCFullYear(),
+    nextDay.getUTCMonth() + 1,
+    nextDay.getUTCDate(),
+    0,
+    0,
+    0,
+    timezone
+  );
+
+  // Splitting would never advance past a day start that is not later
+  if (
+    midnight <= date ||
+    formatLocalDate(midnight, timezone) <= formatLocalDate(date, timezone)
+  ) {
+    throw new Error(
+      `Could not find the start of the day after ${date.toISOString()} in ${timezone}`
+    );
+  }
+
+  return midnight;
+}
 
-  const reformattedData = jsonData
-    .filter((entry) => entry.end) // Only process entries that have an end time
-    .map((entry) => {
-      const startDate = parseTimeString(entry.start);
-      const endDate = parseTimeString(entry.end);
+function splitAtMidnight(startDate, endDate) {
+  // Break an interval into one piece per local calendar day
+  const pieces = [];
+  let pieceStart = startDate;
 
+  while (pieceStart < endDate) {
+    const midnight = getNextMidnight(pieceStart);
+    const pieceEnd = midnight < endDate ? midnight : endDate;
+
+    pieces.push({
+      dateKey: getDateKey(pieceStart),
+      start: pieceStart,
+      end: pieceEnd,
+      endsAtMidnight: pieceEnd.getTime() === midnight.getTime(),
+    });
+    pieceStart = pieceEnd;
+  }
+
+  return pieces;
+}
+
+function toIsoDate(dateKey) {
+  // "YYYYMMDD" to "YYYY-MM-DD"
+  return dateKey.replace(/(\d{4})(\d{2})(\d{2})/, "$1-$2-$3");
+}
+
+function readCleanFile(outputPath, dateKey) {
+  // Existing clean data for a day, or empty data if there is no file yet
+  // (null if the file exists but cannot be read, so it is never overwritten)
+  if (!fs.existsSync(outputPath)) {
+    return createCleanData(toIsoDate(dateKey), { timezone });
+  }
+
+  try {
+    return readCleanData(outputPath);
+  } catch (error) {
+    console.log(
+      `Could not read existing ${outputPath}: ${error.message}. It was left unchanged; fix it and run again.`
+    );
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+// Entry fields derived from the raw interval; any other field (including a
+// project or note edited by hand) is kept when an entry is merged
+const INTERVAL_FIELDS = [
+  "start",
+  "end",
+  "session_name",
+  "tags",
+  "time",
+  "ongoing",
+];
+
+function isSameEntry(a, b) {
+  // Compare entries regardless of key order
+  const keys = Array.from(new Set([...Object.keys(a), ...Object.keys(b)]));
+  return JSON.stringify(a, keys.sort()) === JSON.stringify(b, keys.sort());
+}
+
+function mergeEntries(cleanData, newEntries) {
+  // Keep the header (day type etc.) and match new entries to existing ones by
+  // start and end, or by start for an entry that was still running. Matched
+  // entries get the new interval fields and keep their other fields, new
+  // intervals are added, and existing entries without a match are kept
+  const existing = cleanData.entries;
+  const merged = [...existing];
+  const matched = new Set();
+  const added = new Set();
+  const changes = { added: [], updated: [], unchanged: [], kept: [] };
+
+  newEntries.forEach((entry) => {
+    const key = `${entry.start}-${entry.end}`;
+    const index = existing.findIndex(
+      (candidate, candidateIndex) =>
+        !matched.has(candidateIndex) &&
+        candidate &&
+        candidate.start === entry.start &&
+        (candidate.end === entry.end || candidate.ongoing)
+    );
+
+    if (index === -1) {
+      // Skip intervals that appear twice in the new data
+      if (!added.has(key)) {
+        merged.push(entry);
+        added.add(key);
+        changes.added.push(entry);
+      }
+      return;
+    }
+
+    matched.add(index);
+    const keptFields = Object.fromEntries(
+      Object.entries(existing[index]).filter(
+        ([field]) => !INTERVAL_FIELDS.includes(field)
+      )
+    );
+    const updated = { ...entry, ...keptFields };
+
+    if (isSameEntry(updated, existing[index])) {
+      changes.unchanged.push(updated);
+    } else {
+      merged[index] = updated;
+      changes.updated.push(updated);
+    }
+  });
+
+  changes.kept = existing.filter((entry, index) => !matched.has(index));
+  // Hand-edited entries without a valid start go last, in their own order
+  const startOf = (entry) => {
+    const start = entry ? parseClockTime(entry.start) : null;
+    return start === null ? Infinity : start;
+  };
+  merged.sort((a, b) => {
+    const difference = startOf(a) - startOf(b);
+    return isNaN(difference) ? 0 : difference;
+  });
+
+  return {
+    data: {
+      ...cleanData,
+      timezone: cleanData.timezone || timezone,
+      entries: merged,
+    },
+    changes,
+  };
+}
+
+function describeChanges(changes) {
+  // "2 added, 1 updated, 5 unchanged, 1 kept"
+  return ["added", "updated", "unchanged", "kept"]
+    .map((change) => `${changes[change].length} ${change}`)
+    .join(", ");
+}
+
+function groupEntriesByDate(jsonData) {
+  // Group reformatted entries by the local date they fall on
+  const entriesByDate = {};
+  if (!projectRules) {
+    projectRules = loadProjectRules();
+  }
+  const startDateKeys = new Set();
+  const keptEntries = [];
+  const skippedEntries = [];
+
+  jsonData.forEach((entry) => {
+    const startDate = parseTimeString(entry.start);
+    let endDate = null;
+    let isOngoing = false;
+
+    if (entry.end) {
+      endDate = parseTimeString(entry.end);
+    } else if (closeOpen) {
+      // Still-running interval: close it at the requested cutoff
+      endDate = getOpenIntervalEnd(startDate);
+      isOngoing = true;
+    }
+
+    // Only process entries that have an end time after their start
+    if (!endDate || endDate <= startDate) {
+      skippedEntries.push(entry);
+      return;
+    }
+
+    keptEntries.push(entry);
+    startDateKeys.add(getDateKey(startDate));
+
+    const tags = entry.tags || [];
+    const sessionName = tags.length > 0 ? tags[0] : "";
+    const project = assignProject(sessionName, tags, projectRules);
+
+    // Intervals crossing midnight are split so each day gets its own portion
+    const pieces = splitAtMidnight(startDate, endDate);
+    pieces.forEach((piece, index) => {
       const reformatted = {
-        start: formatTime(startDate),
-        end: formatTime(endDate),
-        session_name: entry.tags && entry.tags.length > 0 ? entry.tags[0] : "",
-        time: calculateDuration(startDate, endDate),
+        start: formatTime(piece.start),
+        end: piece.endsAtMidnight ? "24:00:00" : formatTime(piece.end),
+        session_name: sessionName,
+        tags: [...tags],
+        time: calculateDuration(piece.start, piece.end),
       };
 
+      // Add project if a project rule matches
+      if (project) {
+        reformatted.project = project;
+      }
+
       // Add note if annotation exists
       if (entry.annotation) {
         reformatted.note = entry.annotation;
       }
 
-      return reformatted;
+      // Only the last portion of a closed running interval is still going
+      if (isOngoing && index === pieces.length - 1) {
+        reformatted.ongoing = true;
+      }
+
+      if (!entriesByDate[piece.dateKey]) {
+        entriesByDate[piece.dateKey] = [];
+      }
+      entriesByDate[piece.dateKey].push(reformatted);
     });
+  });
 
-  // Extract date from filename to create output filename
-  // Assuming input filename format is like "timew_20251030.json"
-  const dateMatch = filename.match(/(\d{4})(\d{2})(\d{2})/);
-  let outputFilename;
+  return { entriesByDate, startDateKeys, keptEntries, skippedEntries };
+}
 
-  if (dateMatch) {
-    const year = dateMatch[1]; // Keep full 4-digit year
-    const month = dateMatch[2];
-    const day = dateMatch[3];
-    outputFilename = `timew_clean_${year}${month}${day}.json`;
-  } else {
-    // Fallback if date pattern not found
-    const baseName = path.basename(filename, ".json");
-    outputFilename = `timew_clean_${baseName}.json`;
+function warnSkippedEntries(skippedEntries, label) {
+  // List skipped intervals with the reason each one could not be used
+  if (skippedEntries.length === 0) {
+    return;
+  }
+
+  console.log(
+    `Warning: ${label} skipped ${skippedEntries.length} interval(s):`
+  );
+  let hasOpen = false;
+  skippedEntries.forEach((entry) => {
+    const startDate = parseTimeString(entry.start);
+    const tags = entry.tags && entry.tags.length > 0 ? entry.tags : ["(none)"];
+    let reason;
+    if (entry.end) {
+      reason = "ends before it starts";
+    } else if (closeOpen) {
+      const cutoff = getOpenIntervalEnd(startDate);
+      reason = `--close-open cutoff ${formatLocalDate(
+        cutoff,
+        timezone
+      )} ${formatTime(cutoff)} is not after its start`;
+    } else {
+      reason = "still open";
+      hasOpen = true;
+    }
+    console.log(
+      `  - started ${formatLocalDate(startDate, timezone)} ${formatTime(
+        startDate
+      )} [${tags.join(", ")}] (${reason})`
+    );
+  });
+  if (hasOpen) {
+    console.log("  Use --close-open to close them at the current time.");
   }
+}
 
-  // Export to json/clean folder
-  const outputPath = path.join(__dirname, "json", "clean", outputFilename);
+function formatRawData(jsonData, filename = null, verbose = true) {
+  const { entriesByDate, startDateKeys, keptEntries, skippedEntries } =
+    groupEntriesByDate(jsonData);
+  warnSkippedEntries(skippedEntries, filename || "stdin");
 
   // Ensure the clean directory exists
   const cleanDir = path.join(__dirname, "json", "clean");
@@ -92,18 +478,376 @@ try {
     fs.mkdirSync(cleanDir, { recursive: true });
   }
 
-  // Write reformatted data to file
-  fs.writeFileSync(outputPath, JSON.stringify(reformattedData, null, 2));
+  // Extract date from filename to decide which clean file this run owns
+  // Assuming input filename format is like "timew_20251030.json"
+  // Without a filename (stdin), every day an interval starts on is owned
+  const dateMatch = filename && filename.match(/(\d{4})(\d{2})(\d{2})/);
+  const outputs = [];
 
-  console.log("Reformatted Results:");
-  console.log(JSON.stringify(reformattedData, null, 2));
-  console.log(`\nReformatted data exported to: ${outputPath}`);
-} catch (error) {
+  if (!filename || dateMatch) {
+    const ownedDateKeys = dateMatch
+      ? new Set([`${dateMatch[1]}${dateMatch[2]}${dateMatch[3]}`])
+      : startDateKeys;
+    ownedDateKeys.forEach((dateKey) => {
+      if (!entriesByDate[dateKey]) {
+        entriesByDate[dateKey] = [];
+      }
+    });
+
+    Object.keys(entriesByDate)
+      .sort()
+      .forEach((dateKey) => {
+        const outputPath = path.join(cleanDir, `timew_clean_${dateKey}.json`);
+        const dateEntries = entriesByDate[dateKey];
+
+        // The existing file keeps its day type (and entries when merging);
+        // an unreadable one is skipped rather than overwritten
+        const existingData = readCleanFile(outputPath, dateKey);
+        if (!existingData) {
+          outputs.push({ outputPath, error: "existing file unreadable" });
+          return;
+        }
+
+        if (ownedDateKeys.has(dateKey) && mergeMode) {
+          // With --merge, owned days are merged like other days but take
+          // this run as their source
+          const { data, changes } = mergeEntries(existingData, dateEntries);
+          outputs.push({
+            outputPath,
+            data: { ...data, source: filename || "stdin" },
+            written: changes.added.length + changes.updated.length,
+            merged: true,
+            changes,
+          });
+        } else if (ownedDateKeys.has(dateKey)) {
+          // Owned days are rewritten from scratch, apart from the day type
+          outputs.push({
+            outputPath,
+            data: createCleanData(toIsoDate(dateKey), {
+              timezone,
+              dayType: existingData.dayType,
+              source: filename || "stdin",
+              entries: dateEntries,
+            }),
+            written: dateEntries.length,
+            merged: false,
+          });
+        } else {
+          // Portions spilling into other days are merged into their files
+          const { data, changes } = mergeEntries(existingData, dateEntries);
+          outputs.push({
+            outputPath,
+            data,
+            written: changes.added.length + changes.updated.length,
+            merged: true,
+            changes,
+          });
+        }
+      });
+  } else {
+    // Fallback if date pattern not found
+    const baseName = path.basename(filename, ".json");
+    const allEntries = Object.keys(entriesByDate)
+      .sort()
+      .reduce((all, dateKey) => all.concat(entriesByDate[dateKey]), []);
+    outputs.push({
+      outputPath: path.join(cleanDir, `timew_clean_${baseName}.json`),
+      data: createCleanData(null, {
+        timezone,
+        source: filename,
+        entries: allEntries,
+      }),
+      written: allEntries.length,
+      merged: false,
+    });
+  }
+
+  outputs.forEach(({ outputPath, data, merged, changes, error }) => {
+    if (error) {
+      return;
+    }
+
+    // Write reformatted data to file
+    writeCleanData(outputPath, data);
+
+    if (verbose) {
+      console.log(`\nReformatted Results (${path.basename(outputPath)}):`);
+      console.log(JSON.stringify(data, null, 2));
+      console.log(
+        `\nReformatted data ${
+          merged ? "merged into" : "exported to"
+        }: ${outputPath}`
+      );
+      if (changes) {
+        printChanges(changes);
+      }
+    }
+  });
+
+  return {
+    kept: keptEntries.length,
+    skipped: skippedEntries.length,
+    outputs: outputs.map(({ outputPath, written, merged, changes, error }) => ({
+      file: path.basename(outputPath),
+      written,
+      merged,
+      changes,
+      error,
+    })),
+  };
+}
+
+function printChanges(changes) {
+  // List the entries a merge added, updated or kept from the existing file
+  console.log(`Merge: ${describeChanges(changes)}`);
+  [
+    ["+", "added", changes.added],
+    ["~", "updated", changes.updated],
+    ["=", "kept, not in the new data", changes.kept],
+  ].forEach(([marker, label, entries]) => {
+    entries.forEach((entry) => {
+      const { start, end, session_name: sessionName } = entry || {};
+      console.log(`  ${marker} ${start}-${end} ${sessionName} (${label})`);
+    });
+  });
+}
+
+function describeOutput(output) {
+  // "timew_clean_20251030.json (2 written, merged: 1 added, ...)"
+  if (output.error) {
+    return `${output.file} (not written: ${output.error})`;
+  }
+  return `${output.file} (${output.written} written${
+    output.merged ? `, merged: ${describeChanges(output.changes)}` : ""
+  })`;
+}
+
+function formatRawFile(filename, verbose = true) {
+  // Look for file in json/raw folder
+  const filePath = path.join(__dirname, "json", "raw", filename);
+  const fileContent = fs.readFileSync(filePath, "utf8");
+  const jsonData = JSON.parse(fileContent);
+
+  return formatRawData(jsonData, filename, verbose);
+}
+
+function formatStdin() {
+  // Read a `timew export` from stdin, e.g. `timew export :week | node formatter.js -`
+  const jsonData = JSON.parse(fs.readFileSync(0, "utf8"));
+  const { kept, skipped, outputs } = formatRawData(jsonData, null, false);
+
+  console.log(`stdin: ${kept} kept, ${skipped} skipped`);
+  outputs.forEach((output) => {
+    console.log(`  -> ${describeOutput(output)}`);
+  });
+}
+
+function describeError(error) {
   if (error.code === "ENOENT") {
-    console.log("File not found.");
+    return "File not found.";
   } else if (error instanceof SyntaxError) {
-    console.log("Invalid JSON in file.");
+    return "Invalid JSON in file.";
+  }
+  return `Error reading file: ${error.message}`;
+}
+
+function getCleanCounterpart(filename) {
+  // Path of the clean file a raw file produces for its own day
+  const dateMatch = filename.match(/(\d{4})(\d{2})(\d{2})/);
+  const cleanName = dateMatch
+    ? `timew_clean_${dateMatch[1]}${dateMatch[2]}${dateMatch[3]}.json`
+    : `timew_clean_${path.basename(filename, ".json")}.json`;
+  return path.join(__dirname, "json", "clean", cleanName);
+}
+
+function isStale(filename) {
+  // A raw file is stale when its clean file is missing, older than it, or
+  // has no entries (e.g. created by "check.js daytype" to hold a day type)
+  const rawPath = path.join(__dirname, "json", "raw", filename);
+  const cleanPath = getCleanCounterpart(filename);
+
+  if (!fs.existsSync(cleanPath)) {
+    return true;
+  }
+
+  try {
+    if (readCleanData(cleanPath).entries.length === 0) {
+      return true;
+    }
+  } catch (error) {
+    // Unreadable clean files are reported when formatting
+    return true;
+  }
+
+  return fs.statSync(cleanPath).mtimeMs < fs.statSync(rawPath).mtimeMs;
+}
+
+function formatAllRawFiles(
+  startDate = null,
+  endDate = null,
+  onlyStale = false
+) {
+  const rawDir = path.join(__dirname, "json", "raw");
+  let rawFiles;
+
+  try {
+    rawFiles = fs.readdirSync(rawDir).filter((file) => file.endsWith(".json"));
+  } catch (error) {
+    console.log("Error reading raw directory:", error.message);
+    return;
+  }
+
+  // Filter files by date range if provided
+  if (startDate && endDate) {
+    rawFiles = rawFiles.filter((file) => {
+      const dateMatch = file.match(/(\d{4})(\d{2})(\d{2})/);
+      if (!dateMatch) return false;
+
+      const fileDate = `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`;
+      return fileDate >= startDate && fileDate <= endDate;
+    });
+  }
+
+  if (onlyStale) {
+    rawFiles = rawFiles.filter(isStale);
+  }
+
+  // Sort files by date (extract date from filename)
+  rawFiles.sort((a, b) => {
+    const dateA = a.match(/\d{8}/)?.[0] || "00000000";
+    const dateB = b.match(/\d{8}/)?.[0] || "00000000";
+    return dateA.localeCompare(dateB) || a.localeCompare(b);
+  });
+
+  if (rawFiles.length === 0) {
+    console.log("No raw files to format.");
+    return;
+  }
+
+  console.log(`Formatting ${rawFiles.length} raw file(s)`);
+  console.log("=".repeat(60));
+
+  let totalKept = 0;
+  let totalSkipped = 0;
+  let totalWritten = 0;
+  let failures = 0;
+
+  rawFiles.forEach((file) => {
+    try {
+      const { kept, skipped, outputs } = formatRawFile(file, false);
+      const written = outputs.reduce(
+        (sum, output) => sum + (output.written || 0),
+        0
+      );
+      totalKept += kept;
+      totalSkipped += skipped;
+      totalWritten += written;
+
+      console.log(
+        `${file}: ${kept} kept, ${skipped} skipped, ${written} written`
+      );
+      outputs.forEach((output) => {
+        console.log(`  -> ${describeOutput(output)}`);
+      });
+    } catch (error) {
+      failures++;
+      console.log(`${file}: ${describeError(error)}`);
+    }
+  });
+
+  console.log("=".repeat(60));
+  console.log(
+    `Total: ${totalKept} kept, ${totalSkipped} skipped, ${totalWritten} written`
+  );
+  if (failures > 0) {
+    console.log(`Failed files: ${failures}`);
+  }
+}
+
+function migrateCleanFiles() {
+  // Upgrade every clean file to the current schema
+  const cleanDir = path.join(__dirname, "json", "clean");
+  let cleanFiles;
+
+  try {
+    cleanFiles = fs
+      .readdirSync(cleanDir)
+      .filter((file) => file.endsWith(".json"))
+      .sort();
+  } catch (error) {
+    console.log("Error reading clean directory:", error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  let migrated = 0;
+  let failures = 0;
+
+  cleanFiles.forEach((file) => {
+    try {
+      if (migrateCleanFile(path.join(cleanDir, file))) {
+        migrated++;
+        console.log(`${file}: migrated`);
+      }
+    } catch (error) {
+      failures++;
+      console.log(`${file}: ${describeError(error)}`);
+    }
+  });
+
+  console.log(
+    `\nMigrated ${migrated} of ${cleanFiles.length} clean file(s), ${
+      cleanFiles.length - migrated - failures
+    } already up to date.`
+  );
+  if (failures > 0) {
+    console.log(`Failed files: ${failures}`);
+    process.exitCode = 1;
+  }
+}
+
+if (args[0] === "migrate") {
+  migrateCleanFiles();
+  // Exits with the code set above (1 if any file failed)
+  process.exit();
+}
+
+console.log(`Timezone: ${timezone}`);
+
+if (args[0] === "all") {
+  const onlyStale = args.includes("stale");
+  const rangeArgs = args.slice(1).filter((arg) => arg !== "stale");
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (rangeArgs.length === 0) {
+    formatAllRawFiles(null, null, onlyStale);
+  } else if (
+    rangeArgs.length === 3 &&
+    rangeArgs[1] === "-" &&
+    datePattern.test(rangeArgs[0]) &&
+    datePattern.test(rangeArgs[2])
+  ) {
+    formatAllRawFiles(rangeArgs[0], rangeArgs[2], onlyStale);
   } else {
-    console.log("Error reading file:", error.message);
+    console.log(
+      "Invalid arguments. Use: node formatter.js all [YYYY-MM-DD - YYYY-MM-DD] [stale]"
+    );
+    process.exit(1);
+  }
+} else if (args[0] === "-") {
+  try {
+    formatStdin();
+  } catch (error) {
+    console.log(
+      error instanceof SyntaxError
+        ? "Invalid JSON on stdin."
+        : `Error reading stdin: ${error.message}`
+    );
+  }
+} else {
+  try {
+    formatRawFile(args[0]);
+  } catch (error) {
+    console.log(describeError(error));
   }
 }
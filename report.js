@@ -0,0 +1,555 @@
+/**
+ * Output formats for analyzer.js reports and their export file extensions
+ */
+const REPORT_FORMATS = {
+  text: ".json",
+  markdown: ".md",
+  csv: ".csv",
+  html: ".html",
+};
+
+/**
+ * Report sections in display order: title, results key and name field
+ */
+const REPORT_SECTIONS = [
+  { title: "Sessions", key: "sessions", nameField: "sessionName" },
+  { title: "Projects", key: "projects", nameField: "projectName" },
+  { title: "Tags", key: "tags", nameField: "tagName" },
+  { title: "Main Categories", key: "categories", nameField: "categoryName" },
+  { title: "Category Tree", key: "categoryTree", nameField: "categoryPath" },
+  {
+    title: "Uncategorized Sessions",
+    key: "uncategorizedSessions",
+    nameField: "sessionName",
+  },
+];
+
+/**
+ * Convert seconds to HH:MM:SS format
+ */
+function formatSeconds(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  return `${hours.toString().padStart(2, "0")}:${minutes
+    .toString()
+    .padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`;
+}
+
+/**
+ * Format a { startDate, endDate } period as a date or "start to end"
+ */
+function formatPeriod({ startDate, endDate }) {
+  return !endDate || startDate === endDate
+    ? startDate
+    : `${startDate} to ${endDate}`;
+}
+
+/**
+ * Build a one-line description of the analyzed period and filters
+ */
+function describePeriod(analysisResults) {
+  const { dateRange, comparison } = analysisResults;
+  const parts = [
+    comparison
+      ? `${formatPeriod(comparison.periodA)} vs ${formatPeriod(
+          comparison.periodB
+        )}`
+      : formatPeriod(dateRange),
+  ];
+
+  if (dateRange.filteredDescription) {
+    parts.push(dateRange.filteredDescription);
+  }
+  if (dateRange.excludedCategoriesDescription) {
+    parts.push(dateRange.excludedCategoriesDescription);
+  }
+  if (dateRange.tagFilterDescription) {
+    parts.push(dateRange.tagFilterDescription);
+  }
+  if (analysisResults.summary && analysisResults.summary.averageBasis) {
+    const { averageBasis, averageDays, missingDates } = analysisResults.summary;
+    parts.push(
+      `Averages per ${averageBasis} day (${averageDays} day(s)${
+        missingDates.length > 0 ? `; missing: ${missingDates.join(", ")}` : ""
+      })`
+    );
+  }
+
+  return parts.join("; ");
+}
+
+/**
+ * Turn the analysis results into plain tables (header, rows, total row)
+ */
+function buildTables(analysisResults) {
+  if (analysisResults.comparison) {
+    return buildComparisonTables(analysisResults.comparison);
+  }
+
+  const hasAverages = analysisResults.summary.totalDays !== undefined;
+  const header = ["Name", "Total"];
+  if (hasAverages) {
+    header.push("Avg/Day");
+  }
+  header.push("Percentage");
+
+  const tables = REPORT_SECTIONS.filter(
+    ({ key }) => analysisResults[key] && analysisResults[key].length > 0
+  ).map(({ title, key, nameField }) => {
+    const items = analysisResults[key];
+    const rows = items.map((item) => {
+      const row = [item[nameField], item.totalTime];
+      if (hasAverages) {
+        row.push(item.averageTime);
+      }
+      row.push(item.percentage);
+      return row;
+    });
+
+    // Tags overlap and tree nodes include their subcategories, so their sum
+    // is not a meaningful total
+    let totalRow = null;
+    if (key !== "tags" && key !== "categoryTree") {
+      const totalSeconds = items.reduce(
+        (total, item) => total + item.totalTimeSeconds,
+        0
+      );
+      totalRow = ["Total", formatSeconds(totalSeconds)];
+      if (hasAverages) {
+        totalRow.push(
+          formatSeconds(
+            Math.round(totalSeconds / analysisResults.summary.averageDays)
+          )
+        );
+      }
+      // Categories are shares of the category total, the rest of total time
+      const shareTotal =
+        key === "categories"
+          ? totalSeconds
+          : analysisResults.summary.totalTimeSeconds;
+      totalRow.push(
+        shareTotal === 0
+          ? "0.0%"
+          : `${((totalSeconds / shareTotal) * 100).toFixed(1)}%`
+      );
+    }
+
+    return { title, key, header, rows, totalRow };
+  });
+
+  if (analysisResults.summary.reconciliation) {
+    tables.push(
+      buildReconciliationTable(analysisResults.summary.reconciliation)
+    );
+  }
+
+  if (analysisResults.daily) {
+    tables.push(buildDailyTable(analysisResults.daily));
+  }
+
+  if (analysisResults.groups) {
+    tables.push(...buildGroupTables(analysisResults.groups));
+  }
+
+  if (analysisResults.heatmap) {
+    tables.push(...buildHeatmapTables(analysisResults.heatmap));
+  }
+
+  if (analysisResults.targets) {
+    tables.push(...buildTargetTables(analysisResults.targets));
+  }
+
+  return tables;
+}
+
+/**
+ * Turn the reconciliation into a table showing how the session total splits
+ * into the category total and the time left out of it
+ */
+function buildReconciliationTable(reconciliation) {
+  const rows = [["Category total", reconciliation.categoryTime]];
+  if (reconciliation.excludedTimeSeconds > 0) {
+    rows.push(["Excluded categories", reconciliation.excludedTime]);
+  }
+  if (reconciliation.hiddenUncategorizedTimeSeconds > 0) {
+    rows.push([
+      "Excluded uncategorized",
+      reconciliation.hiddenUncategorizedTime,
+    ]);
+  }
+
+  return {
+    title: "Reconciliation",
+    key: "reconciliation",
+    header: ["Name", "Total"],
+    rows,
+    totalRow: ["Session total", reconciliation.sessionTime],
+  };
+}
+
+/**
+ * Turn the daily breakdown into a table with one row per date
+ */
+function buildDailyTable(daily) {
+  return {
+    title: `Daily Breakdown (by ${daily.columnType})`,
+    key: "daily",
+    header: ["Date", "Day Type", ...daily.columns, "Total"],
+    rows: daily.days.map((day) => [
+      day.date,
+      day.dayType || "",
+      ...daily.columns.map((column) => day.times[column] || ""),
+      day.hasData ? day.totalTime : "",
+    ]),
+    totalRow: null,
+  };
+}
+
+/**
+ * Turn grouped results into a bucket summary plus one matrix per section
+ * (rows are items, columns are buckets)
+ */
+function buildGroupTables(groups) {
+  const { groupBy, buckets } = groups;
+  const tables = [
+    {
+      title: `Grouped by ${groupBy}`,
+      key: "groups",
+      header: ["Bucket", "Period", "Days Tracked", "Total", "Change"],
+      rows: buckets.map((bucket) => [
+        bucket.key,
+        bucket.startDate === bucket.endDate
+          ? bucket.startDate
+          : `${bucket.startDate} to ${bucket.endDate}`,
+        `${bucket.trackedDays}/${bucket.days}`,
+        bucket.totalTime,
+        bucket.delta || "",
+      ]),
+      totalRow: null,
+    },
+  ];
+
+  [
+    ["Sessions", "sessions"],
+    ["Projects", "projects"],
+    ["Main Categories", "categories"],
+  ].forEach(([title, key]) => {
+    const names = Array.from(
+      new Set(
+        buckets.reduce(
+          (all, bucket) => all.concat(bucket[key].map((item) => item.name)),
+          []
+        )
+      )
+    ).sort();
+    if (names.length === 0) return;
+
+    const secondsFor = (bucket, name) => {
+      const item = bucket[key].find((candidate) => candidate.name === name);
+      return item ? item.totalTimeSeconds : 0;
+    };
+
+    tables.push({
+      title: `${title} by ${groupBy}`,
+      key: `groups-${key}`,
+      header: ["Name", ...buckets.map((bucket) => bucket.key)],
+      rows: names.map((name) => [
+        name,
+        ...buckets.map((bucket) => formatSeconds(secondsFor(bucket, name))),
+      ]),
+      totalRow: [
+        "Total",
+        ...buckets.map((bucket) =>
+          formatSeconds(
+            bucket[key].reduce(
+              (total, item) => total + item.totalTimeSeconds,
+              0
+            )
+          )
+        ),
+      ],
+    });
+  });
+
+  return tables;
+}
+
+/**
+ * Turn the heatmap into one weekday x time-of-day table per item
+ */
+function buildHeatmapTables(heatmap) {
+  return heatmap.items.map((item) => ({
+    title: `Heatmap: ${item.name}`,
+    key: `heatmap-${item.name}`,
+    header: ["Weekday", ...heatmap.bins, "Total"],
+    rows: item.grid.map((row, index) => [
+      heatmap.weekdays[index].weekday,
+      ...row.map((seconds) => (seconds > 0 ? formatSeconds(seconds) : "")),
+      formatSeconds(row.reduce((total, value) => total + value, 0)),
+    ]),
+    totalRow: null,
+  }));
+}
+
+/**
+ * Turn target results into a summary plus one progress table per target
+ */
+function buildTargetTables(targets) {
+  const tables = [
+    {
+      title: "Targets",
+      key: "targets",
+      header: [
+        "Target",
+        "Total",
+        "Met",
+        "Missed",
+        "No Data",
+        "Current Streak",
+        "Longest Streak",
+      ],
+      rows: targets.map((target) => [
+        target.target,
+        target.totalTime,
+        target.met,
+        target.missed,
+        target.noData,
+        target.currentStreak,
+        target.longestStreak,
+      ]),
+      totalRow: null,
+    },
+  ];
+
+  targets.forEach((target, index) => {
+    if (target.periods.length === 0) return;
+
+    tables.push({
+      title: `Target: ${target.target}`,
+      key: `targets-${index + 1}`,
+      header: [target.per === "week" ? "Week" : "Date", "Actual", "Status"],
+      rows: target.periods.map((period) => [
+        period.partial ? `${period.period} (partial)` : period.period,
+        period.status === "no data" ? "" : period.actualTime,
+        period.status,
+      ]),
+      totalRow: null,
+    });
+  });
+
+  return tables;
+}
+
+/**
+ * Turn a period comparison into a period summary plus one table per section
+ * (columns are the time in each period and the change from A to B)
+ */
+function buildComparisonTables(comparison) {
+  const { periodA, periodB } = comparison;
+  const tables = [
+    {
+      title: "Periods",
+      key: "comparison",
+      header: ["Period", "Dates", "Days Tracked", "Total"],
+      rows: [
+        ["A", periodA],
+        ["B", periodB],
+      ].map(([label, period]) => [
+        label,
+        formatPeriod(period),
+        `${period.trackedDays}/${period.days}`,
+        period.totalTime,
+      ]),
+      totalRow: [
+        "Change",
+        "",
+        "",
+        `${comparison.delta} (${comparison.deltaPercentage})`,
+      ],
+    },
+  ];
+
+  [
+    ["Sessions", "sessions"],
+    ["Projects", "projects"],
+    ["Main Categories", "categories"],
+  ].forEach(([title, key]) => {
+    const items = comparison[key];
+    if (items.length === 0) return;
+
+    tables.push({
+      title,
+      key: `comparison-${key}`,
+      header: ["Name", "A", "B", "Change", "Change %"],
+      rows: items.map((item) => [
+        item.name,
+        item.previousTime,
+        item.totalTime,
+        item.delta,
+        item.deltaPercentage,
+      ]),
+      totalRow: null,
+    });
+  });
+
+  return tables;
+}
+
+/**
+ * Render the analysis results as Markdown tables
+ */
+function renderMarkdown(analysisResults) {
+  const escapeCell = (value) => String(value).replace(/\|/g, "\\|");
+  const lines = [
+    "# Time Report",
+    "",
+    `**Period:** ${describePeriod(analysisResults)}`,
+    "",
+  ];
+
+  buildTables(analysisResults).forEach(({ title, header, rows, totalRow }) => {
+    lines.push(`## ${title}`, "");
+    lines.push(`| ${header.join(" | ")} |`);
+    lines.push(
+      `| ${header.map((_, i) => (i === 0 ? "---" : "---:")).join(" | ")} |`
+    );
+    rows.forEach((row) => {
+      lines.push(`| ${row.map(escapeCell).join(" | ")} |`);
+    });
+    if (totalRow) {
+      lines.push(
+        `| ${totalRow
+          .map((cell) => (cell === "" ? "" : `**${escapeCell(cell)}**`))
+          .join(" | ")} |`
+      );
+    }
+    lines.push("");
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Render the analysis results as CSV, one row per line item
+ */
+function renderCsv(analysisResults) {
+  const escapeCell = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [];
+  let currentHeader = null;
+
+  buildTables(analysisResults).forEach(({ title, header, rows, totalRow }) => {
+    // Tables with different columns start a new block with their own header
+    if (!currentHeader || currentHeader.join() !== header.join()) {
+      if (currentHeader) {
+        lines.push("");
+      }
+      lines.push(["Section", ...header].map(escapeCell).join(","));
+      currentHeader = header;
+    }
+
+    rows.forEach((row) => {
+      lines.push([title, ...row].map(escapeCell).join(","));
+    });
+    if (totalRow) {
+      lines.push([title, ...totalRow].map(escapeCell).join(","));
+    }
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render the analysis results as a standalone HTML page
+ */
+function renderHtml(analysisResults) {
+  const escapeHtml = (value) =>
+    String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  const lines = [
+    "<!DOCTYPE html>",
+    "<html>",
+    "<head>",
+    '<meta charset="utf-8">',
+    "<title>Time Report</title>",
+    "<style>",
+    "body { font-family: sans-serif; }",
+    "table { border-collapse: collapse; margin-bottom: 1.5em; }",
+    "th, td { border: 1px solid #ccc; padding: 4px 8px; }",
+    "td:not(:first-child) { text-align: right; }",
+    "tr.total { font-weight: bold; }",
+    "</style>",
+    "</head>",
+    "<body>",
+    "<h1>Time Report</h1>",
+    `<p><strong>Period:</strong> ${escapeHtml(
+      describePeriod(analysisResults)
+    )}</p>`,
+  ];
+
+  const renderRow = (row, className = null) =>
+    `<tr${className ? ` class="${className}"` : ""}>${row
+      .map((cell) => `<td>${escapeHtml(cell)}</td>`)
+      .join("")}</tr>`;
+
+  buildTables(analysisResults).forEach(({ title, header, rows, totalRow }) => {
+    lines.push(`<h2>${escapeHtml(title)}</h2>`, "<table>");
+    lines.push(
+      `<tr>${header
+        .map((cell) => `<th>${escapeHtml(cell)}</th>`)
+        .join("")}</tr>`
+    );
+    rows.forEach((row) => lines.push(renderRow(row)));
+    if (totalRow) {
+      lines.push(renderRow(totalRow, "total"));
+    }
+    lines.push("</table>");
+  });
+
+  lines.push(
+    `<p><small>Generated at ${escapeHtml(
+      analysisResults.generatedAt
+    )}</small></p>`,
+    "</body>",
+    "</html>"
+  );
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render the analysis results in the given format
+ */
+function renderReport(analysisResults, format) {
+  switch (format) {
+    case "markdown":
+      return renderMarkdown(analysisResults);
+    case "csv":
+      return renderCsv(analysisResults);
+    case "html":
+      return renderHtml(analysisResults);
+    default:
+      return JSON.stringify(analysisResults, null, 2);
+  }
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  buildTables,
+  buildDailyTable,
+  buildGroupTables,
+  buildHeatmapTables,
+  buildTargetTables,
+  buildComparisonTables,
+  renderMarkdown,
+  renderCsv,
+  renderHtml,
+  renderReport,
+};
@@ -0,0 +1,305 @@
+const fs = require("fs");
+const path = require("path");
+
+const formatterCache = {};
+
+// Fixed UTC+8, the offset used before the timezone became configurable
+const DEFAULT_TIMEZONE = "Etc/GMT-8";
+
+/**
+ * Load general settings from json/settings/settings.json
+ */
+function loadSettings() {
+  const settingsPath = path.join(
+    __dirname,
+    "json",
+    "settings",
+    "settings.json"
+  );
+
+  if (!fs.existsSync(settingsPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+  } catch (error) {
+    console.error("Error reading settings file:", error.message);
+    return {};
+  }
+}
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Remove a "--tz <zone>" or "--tz=<zone>" flag from the argument list
+ * Returns the zone (or null) and the remaining arguments
+ */
+function extractTimezoneArg(args) {
+  const remainingArgs = [];
+  let timezone = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--tz") {
+      timezone = args[i + 1] || null;
+      i++;
+    } else if (args[i].startsWith("--tz=")) {
+      timezone = args[i].substring("--tz=".length);
+    } else {
+      remainingArgs.push(args[i]);
+    }
+  }
+
+  return { timezone, args: remainingArgs };
+}
+
+/**
+ * Resolve the timezone to use, in order of precedence:
+ * CLI flag, TIMEW_TZ environment variable, settings.json, fixed UTC+8
+ */
+function resolveTimezone(cliTimezone = null) {
+  const candidates = [
+    { source: "--tz flag", value: cliTimezone },
+    { source: "TIMEW_TZ", value: process.env.TIMEW_TZ },
+    { source: "settings.json", value: loadSettings().timezone },
+  ];
+
+  for (const { source, value } of candidates) {
+    if (!value) continue;
+
+    if (!isValidTimezone(value)) {
+      throw new Error(`Invalid timezone "${value}" from ${source}`);
+    }
+    return value;
+  }
+
+  console.warn(
+    `Warning: No timezone configured, using the default UTC+8 (${DEFAULT_TIMEZONE}). Set --tz, TIMEW_TZ or "timezone" in json/settings/settings.json.`
+  );
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the calendar and clock components of a Date in the given timezone
+ */
+function getLocalParts(date, timezone) {
+  if (!formatterCache[timezone]) {
+    formatterCache[timezone] = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+  }
+
+  const parts = {};
+  formatterCache[timezone].formatToParts(date).forEach(({ type, value }) => {
+    if (type !== "literal") {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+
+  return parts;
+}
+
+/**
+ * Format a Date as "hh:mm:ss" in the given timezone
+ */
+function formatLocalTime(date, timezone) {
+  const { hour, minute, second } = getLocalParts(date, timezone);
+  return [hour, minute, second]
+    .map((value) => value.toString().padStart(2, "0"))
+    .join(":");
+}
+
+/**
+ * Format a Date as "YYYY-MM-DD" in the given timezone
+ */
+function formatLocalDate(date, timezone) {
+  const { year, month, day } = getLocalParts(date, timezone);
+  return `${year}-${month.toString().padStart(2, "0")}-${day
+    .toString()
+    .padStart(2, "0")}`;
+}
+
+/**
+ * Offset of the timezone from UTC at the given instant, in milliseconds
+ */
+function getTimezoneOffset(date, timezone) {
+  const { year, month, day, hour, minute, second } = getLocalParts(
+    date,
+    timezone
+  );
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local wall-clock time in the given timezone to a Date
+ */
+function localToDate(year, month, day, hour, minute, second, timezone) {
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes settle the offset when the first guess lands across a DST change
+  let offset = getTimezoneOffset(new Date(localAsUtc), timezone);
+  offset = getTimezoneOffset(new Date(localAsUtc - offset), timezone);
+  const date = new Date(localAsUtc - offset);
+
+  // A time skipped by a DST change (e.g. midnight where DST starts at 00:00)
+  // resolves to the instant the clocks jump, using the offset from before it
+  const parts = getLocalParts(date, timezone);
+  if (
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    ) !== localAsUtc
+  ) {
+    const offsetBefore = getTimezoneOffset(
+      new Date(localAsUtc - 24 * 3600 * 1000),
+      timezone
+    );
+    return new Date(localAsUtc - offsetBefore);
+  }
+
+  return date;
+}
+
+/**
+ * Shift a "YYYY-MM-DD" calendar date by a number of days
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Check that a "YYYY-MM-DD" string is a real calendar date
+ */
+function isValidDateString(dateStr) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+    return false;
+  }
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(dateStr);
+}
+
+/**
+ * Resolve a date expression to an inclusive { startDate, endDate } range
+ * Relative names use today's date in the given timezone
+ * Returns null if the expression is not recognized
+ */
+function resolveDateExpression(expression, timezone, now = new Date()) {
+  const today = formatLocalDate(now, timezone);
+
+  if (isValidDateString(expression)) {
+    return { startDate: expression, endDate: expression };
+  }
+
+  // Whole month, e.g. "2025-11"
+  const monthMatch = expression.match(/^(\d{4})-(\d{2})$/);
+  if (monthMatch) {
+    const month = parseInt(monthMatch[2]);
+    if (month < 1 || month > 12) {
+      return null;
+    }
+    const startDate = `${expression}-01`;
+    const nextMonth = new Date(Date.UTC(parseInt(monthMatch[1]), month, 1));
+    return {
+      startDate,
+      endDate: addDays(nextMonth.toISOString().split("T")[0], -1),
+    };
+  }
+
+  // "last-N-days" ends today, so "last-7-days" is today and the 6 days before
+  const lastDaysMatch = expression.match(/^last-(\d+)-days?$/);
+  if (lastDaysMatch && parseInt(lastDaysMatch[1]) > 0) {
+    return {
+      startDate: addDays(today, 1 - parseInt(lastDaysMatch[1])),
+      endDate: today,
+    };
+  }
+
+  // Weeks run Monday to Sunday
+  const isoWeekday = new Date(`${today}T00:00:00Z`).getUTCDay() || 7;
+  const thisMonday = addDays(today, 1 - isoWeekday);
+
+  switch (expression) {
+    case "today":
+      return { startDate: today, endDate: today };
+    case "yesterday":
+      return { startDate: addDays(today, -1), endDate: addDays(today, -1) };
+    case "this-week":
+      return { startDate: thisMonday, endDate: addDays(thisMonday, 6) };
+    case "last-week":
+      return {
+        startDate: addDays(thisMonday, -7),
+        endDate: addDays(thisMonday, -1),
+      };
+    case "this-month":
+      return resolveDateExpression(today.substring(0, 7), timezone, now);
+    case "last-month":
+      return resolveDateExpression(
+        addDays(`${today.substring(0, 7)}-01`, -1).substring(0, 7),
+        timezone,
+        now
+      );
+    default:
+      return null;
+  }
+}
+
+/**
+ * Resolve "<expr>" or "<expr> - <expr>" date arguments to a date range
+ * Returns null if the arguments do not form a date range
+ */
+function resolveDateArgs(dateArgs, timezone, now = new Date()) {
+  if (dateArgs.length === 1) {
+    return resolveDateExpression(dateArgs[0], timezone, now);
+  }
+
+  if (dateArgs.length === 3 && dateArgs[1] === "-") {
+    const start = resolveDateExpression(dateArgs[0], timezone, now);
+    const end = resolveDateExpression(dateArgs[2], timezone, now);
+    if (!start || !end) {
+      return null;
+    }
+    return { startDate: start.startDate, endDate: end.endDate };
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  loadSettings,
+  isValidTimezone,
+  extractTimezoneArg,
+  resolveTimezone,
+  getLocalParts,
+  formatLocalTime,
+  formatLocalDate,
+  getTimezoneOffset,
+  localToDate,
+  addDays,
+  isValidDateString,
+  resolveDateExpression,
+  resolveDateArgs,
+};